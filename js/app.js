@@ -7,17 +7,29 @@ class ResumeBuilderApp {
     // Initialize modules
     this.storage = new StorageManager({ prefix: 'resumepro_' });
     this.ai = new AIWriter();
-    this.pdf = new PDFGenerator();
+    this.richText = new RichText();
+    this.pdf = new PDFGenerator({ richText: this.richText });
+    this.docx = new DOCXGenerator({ pdf: this.pdf, richText: this.richText });
+    this.textExporter = new TextExporter({ pdf: this.pdf, richText: this.richText });
+    this.jsonResume = new JSONResume({ richText: this.richText });
+    this.resumeParser = new ResumeParser();
+    this.linkedin = new LinkedInImporter({ richText: this.richText });
     this.templates = new TemplateEngine();
     this.formBuilder = new FormBuilder({ cssPrefix: 'fb-' });
     this.auth = new AuthModule();
+    this.pagePreview = new PagePreview();
 
     // Application state
     this.resumeData = this.getDefaultResumeData();
     this.coverLetterData = {};
     this.selectedResumeTemplate = 'professional';
     this.selectedCoverTemplate = 'standard';
+    this.pdfRenderer = 'layout';
     this.isPremium = false;
+    this.thumbnailCache = new Map();    // Template id -> { key, html }
+    this.importDraft = null;            // Parsed resume awaiting review
+    this.importUnsorted = [];
+    this.linkedinImport = null;         // LinkedIn data awaiting merge or replace
 
     // Initialize
     this.init();
@@ -32,13 +44,31 @@ class ResumeBuilderApp {
         location: '',
         linkedin: '',
         website: '',
-        title: ''
+        title: '',
+        direction: 'auto',
+        signature: null,            // { image: PNG data URL, width, offset } in mm
+        photo: null                 // { image: JPEG data URL, shape: 'circle' | 'square' }
       },
       summary: '',
       experience: [],
       education: [],
       skills: [],
-      certifications: []
+      certifications: [],
+      exportSettings: this.getDefaultExportSettings()
+    };
+  }
+
+  getDefaultExportSettings() {
+    // Letter is the standard paper size in North America and parts of Latin America
+    const region = (navigator.language || '').split('-')[1] || '';
+    const letterRegions = ['US', 'CA', 'MX', 'CL', 'CO', 'VE', 'PH'];
+    // Photos are left off resumes in the US and Canada to avoid bias
+    const noPhotoRegions = ['US', 'CA'];
+    return {
+      ...this.pdf.getDefaultExportSettings(),
+      format: letterRegions.includes(region.toUpperCase()) ? 'letter' : 'a4',
+      language: navigator.language || 'en-US',
+      includePhoto: !noPhotoRegions.includes(region.toUpperCase())
     };
   }
 
@@ -48,6 +78,10 @@ class ResumeBuilderApp {
 
     // Load API settings
     this.loadAPISettings();
+    this.loadPDFSettings();
+
+    // PDF fonts are fetched when an export first needs them
+    this.pdf.setFontDefinitions((window.fontConfig && window.fontConfig.fonts) || []);
 
     // Register templates
     this.registerTemplates();
@@ -57,6 +91,7 @@ class ResumeBuilderApp {
     this.initTabs();
     this.initForms();
     this.renderTemplateGrid();
+    this.initResumePreview();
 
     // Check auth state
     this.checkAuthState();
@@ -69,7 +104,7 @@ class ResumeBuilderApp {
   loadData() {
     const savedResume = this.storage.loadLocal('resume');
     if (savedResume) {
-      this.resumeData = { ...this.getDefaultResumeData(), ...savedResume };
+      this.resumeData = this.toResumeData(savedResume);
     }
 
     const savedCoverLetter = this.storage.loadLocal('coverLetter');
@@ -81,11 +116,36 @@ class ResumeBuilderApp {
     this.selectedCoverTemplate = this.storage.loadLocal('coverTemplate') || 'standard';
   }
 
+  // Saved, imported or synced resume data over the defaults. Photos that
+  // are not PNG or JPEG data URLs and signatures that are not PNG data URLs
+  // are dropped.
+  toResumeData(saved) {
+    const data = { ...this.getDefaultResumeData(), ...saved };
+    const photo = data.personalInfo && data.personalInfo.photo;
+    if (photo && !/^data:image\/(png|jpe?g);base64,/.test(photo.image || '')) {
+      data.personalInfo = { ...data.personalInfo, photo: null };
+    }
+    const signature = data.personalInfo && data.personalInfo.signature;
+    if (signature) {
+      const defaults = this.getDefaultSignature();
+      data.personalInfo = {
+        ...data.personalInfo,
+        signature: {
+          image: /^data:image\/png;base64,/.test(signature.image || '') ? signature.image : null,
+          width: parseFloat(signature.width) || defaults.width,
+          offset: parseFloat(signature.offset) || defaults.offset
+        }
+      };
+    }
+    return data;
+  }
+
   saveData() {
     this.storage.saveLocal('resume', this.resumeData);
     this.storage.saveLocal('coverLetter', this.coverLetterData);
     this.storage.saveLocal('resumeTemplate', this.selectedResumeTemplate);
     this.storage.saveLocal('coverTemplate', this.selectedCoverTemplate);
+    this.scheduleResumePreview();
 
     // Sync to cloud if premium user
     if (this.isPremium && this.storage.isCloudEnabled) {
@@ -128,7 +188,7 @@ class ResumeBuilderApp {
         const data = JSON.parse(text);
 
         if (data.resume) {
-          this.resumeData = { ...this.getDefaultResumeData(), ...data.resume };
+          this.resumeData = this.toResumeData(data.resume);
         }
         if (data.coverLetter) {
           this.coverLetterData = data.coverLetter;
@@ -158,6 +218,338 @@ class ResumeBuilderApp {
     }
   }
 
+  exportJSONResume() {
+    const { resume, unmapped } = this.jsonResume.toJSONResume(this.resumeData);
+
+    const blob = new Blob([JSON.stringify(resume, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'resume.json';
+    a.click();
+    URL.revokeObjectURL(url);
+
+    if (unmapped.length > 0) {
+      this.showMappingReport('Exported as JSON Resume', 'These fields are not part of the JSON Resume schema and were left out or kept as typed:', unmapped);
+    } else {
+      this.showStatus('Resume exported as JSON Resume!', 'success');
+    }
+  }
+
+  importJSONResume() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      let result;
+      try {
+        result = this.jsonResume.fromJSONResume(JSON.parse(await file.text()));
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      if (!result.success) {
+        this.showStatus('Failed to import JSON Resume: ' + result.error, 'error');
+        return;
+      }
+      if (this.hasResumeContent() && !confirm('Replace your current resume with the imported one?')) return;
+
+      this.replaceResumeContent(result.data);
+
+      if (result.unmapped.length > 0) {
+        this.showMappingReport('Imported JSON Resume', 'These fields have no place in the resume and were not imported:', result.unmapped);
+      } else {
+        this.showStatus('JSON Resume imported successfully!', 'success');
+      }
+    };
+    input.click();
+  }
+
+  replaceResumeContent(data) {
+    // Imports carry content only; keep direction, signature, photo (unless
+    // one was imported) and export settings
+    const current = this.resumeData.personalInfo;
+    this.resumeData = {
+      ...this.getDefaultResumeData(),
+      ...data,
+      personalInfo: {
+        ...this.getDefaultResumeData().personalInfo,
+        ...data.personalInfo,
+        direction: current.direction,
+        signature: current.signature,
+        photo: data.personalInfo.photo || current.photo
+      },
+      exportSettings: this.resumeData.exportSettings
+    };
+
+    this.saveData();
+    this.initForms();
+  }
+
+  showMappingReport(title, intro, unmapped) {
+    this.showModal(title, `
+      <p class="text-muted mb-2">${intro}</p>
+      <ul class="mapping-report" id="mapping-report"></ul>
+    `, [
+      { text: 'OK', class: 'btn-primary', action: () => app.closeModal() }
+    ]);
+
+    // Field values come from the file; add them as text
+    const list = document.getElementById('mapping-report');
+    unmapped.forEach(({ path, reason }) => {
+      const item = document.createElement('li');
+      const code = document.createElement('code');
+      code.textContent = path;
+      item.append(code, ` – ${reason}`);
+      list.appendChild(item);
+    });
+  }
+
+  // ============ RESUME IMPORT ============
+
+  importResumeFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.pdf,.docx,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    input.onchange = async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      this.showStatus('Reading your resume...', 'info');
+      const result = await this.resumeParser.parseFile(file);
+      if (!result.success) {
+        this.showStatus('Failed to import resume: ' + result.error, 'error');
+        return;
+      }
+
+      this.importDraft = result.data;
+      this.importUnsorted = result.unsorted;
+      this.showImportReview();
+    };
+    input.click();
+  }
+
+  showImportReview() {
+    const draft = this.importDraft;
+    const field = (path, label, style = '') => `
+      <div class="fb-field" style="${style}">
+        <label class="fb-label">${label}</label>
+        <input type="text" class="fb-input" data-import-path="${path}">
+      </div>
+    `;
+    const include = (path, label) => `
+      <label class="import-include">
+        <input type="checkbox" data-import-include="${path}" checked> ${label}
+      </label>
+    `;
+
+    this.showModal('Review Imported Resume', `
+      <p class="text-muted mb-2">
+        Check each entry against your file and correct anything read wrongly.
+        Importing replaces your current resume.
+      </p>
+      <div class="import-review">
+        <h4>Personal Information</h4>
+        ${field('personalInfo.fullName', 'Full Name')}
+        ${field('personalInfo.title', 'Professional Title')}
+        <div class="flex gap-1">
+          ${field('personalInfo.email', 'Email', 'flex:1')}
+          ${field('personalInfo.phone', 'Phone', 'flex:1')}
+        </div>
+        ${field('personalInfo.location', 'Location')}
+        <div class="flex gap-1">
+          ${field('personalInfo.linkedin', 'LinkedIn', 'flex:1')}
+          ${field('personalInfo.website', 'Website', 'flex:1')}
+        </div>
+        <div class="fb-field">
+          <label class="fb-label">Professional Summary</label>
+          <textarea class="fb-textarea" rows="4" data-import-path="summary"></textarea>
+        </div>
+
+        <h4>Experience</h4>
+        ${draft.experience.length === 0 ? '<p class="text-muted">No positions found.</p>' : ''}
+        ${draft.experience.map((exp, index) => `
+          <div class="fb-array-item mb-1">
+            ${include(`experience[${index}]`, 'Import this position')}
+            ${field(`experience[${index}].title`, 'Job Title')}
+            ${field(`experience[${index}].company`, 'Company')}
+            ${field(`experience[${index}].location`, 'Location')}
+            <div class="flex gap-1">
+              ${field(`experience[${index}].startDate`, 'Start Date', 'flex:1')}
+              ${field(`experience[${index}].endDate`, 'End Date', 'flex:1')}
+            </div>
+            <div class="fb-field">
+              <label class="fb-label">Achievements (one per line)</label>
+              <textarea class="fb-textarea" rows="4" data-import-path="experience[${index}].achievements"></textarea>
+            </div>
+            ${exp.description ? `
+            <div class="fb-field">
+              <label class="fb-label">Description</label>
+              <textarea class="fb-textarea" rows="3" data-import-path="experience[${index}].description"></textarea>
+            </div>
+            ` : ''}
+          </div>
+        `).join('')}
+
+        <h4>Education</h4>
+        ${draft.education.length === 0 ? '<p class="text-muted">No education found.</p>' : ''}
+        ${draft.education.map((edu, index) => `
+          <div class="fb-array-item mb-1">
+            ${include(`education[${index}]`, 'Import this entry')}
+            ${field(`education[${index}].degree`, 'Degree')}
+            <div class="flex gap-1">
+              ${field(`education[${index}].institution`, 'Institution', 'flex:2')}
+              ${field(`education[${index}].year`, 'Year', 'flex:1')}
+            </div>
+          </div>
+        `).join('')}
+
+        <h4>Skills</h4>
+        <div class="fb-field">
+          <label class="fb-label">Skills (comma separated)</label>
+          <textarea class="fb-textarea" rows="3" data-import-path="skills"></textarea>
+        </div>
+
+        <h4>Certifications</h4>
+        ${draft.certifications.length === 0 ? '<p class="text-muted">No certifications found.</p>' : ''}
+        ${draft.certifications.map((cert, index) => `
+          <div class="fb-array-item mb-1">
+            ${include(`certifications[${index}]`, 'Import this certification')}
+            ${field(`certifications[${index}].name`, 'Name')}
+            <div class="flex gap-1">
+              ${field(`certifications[${index}].issuer`, 'Issuer', 'flex:2')}
+              ${field(`certifications[${index}].year`, 'Year', 'flex:1')}
+            </div>
+            ${field(`certifications[${index}].url`, 'Link')}
+          </div>
+        `).join('')}
+
+        ${this.importUnsorted.length > 0 ? `
+        <h4>Not Imported</h4>
+        <p class="text-muted mb-1">This text did not fit a section. Copy anything you need into your resume after importing.</p>
+        <textarea class="fb-textarea text-export-output" id="import-unsorted" rows="6" readonly></textarea>
+        ` : ''}
+      </div>
+    `, [
+      { text: 'Cancel', class: 'btn-secondary', action: () => app.closeModal() },
+      { text: 'Replace My Resume', class: 'btn-primary', action: () => app.applyImportReview() }
+    ], { wide: true });
+
+    // Values come from the file; set them as text
+    document.querySelectorAll('[data-import-path]').forEach(input => {
+      const value = this.formBuilder.getValueByPath(draft, input.dataset.importPath);
+      if (input.dataset.importPath === 'skills') {
+        input.value = value.join(', ');
+      } else {
+        input.value = Array.isArray(value) ? value.join('\n') : value || '';
+      }
+    });
+    const unsorted = document.getElementById('import-unsorted');
+    if (unsorted) {
+      unsorted.value = this.importUnsorted.map(group => `${group.heading}\n${group.lines.join('\n')}`).join('\n\n');
+    }
+  }
+
+  applyImportReview() {
+    const draft = this.importDraft;
+    document.querySelectorAll('[data-import-path]').forEach(input => {
+      const path = input.dataset.importPath;
+      let value = input.value.trim();
+      if (path === 'skills') {
+        value = value.split(',').map(s => s.trim()).filter(s => s);
+      } else if (/\.achievements$/.test(path)) {
+        value = value.split('\n').map(a => a.trim()).filter(a => a);
+      }
+      this.formBuilder.setValueByPath(draft, path, value);
+    });
+
+    ['experience', 'education', 'certifications'].forEach(section => {
+      draft[section] = draft[section].filter((entry, index) => {
+        const checkbox = document.querySelector(`[data-import-include="${section}[${index}]"]`);
+        return !checkbox || checkbox.checked;
+      });
+    });
+
+    this.replaceResumeContent(draft);
+    this.importDraft = null;
+    this.importUnsorted = [];
+    this.closeModal();
+    this.showStatus('Resume imported! Check each tab for anything the import missed.', 'success');
+  }
+
+  importLinkedIn() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.zip,.csv';
+    input.multiple = true;
+    input.onchange = async (e) => {
+      if (e.target.files.length === 0) return;
+
+      const result = await this.linkedin.readFiles(e.target.files);
+      if (!result.success) {
+        this.showStatus('Failed to import LinkedIn data: ' + result.error, 'error');
+        return;
+      }
+
+      this.linkedinImport = result.data;
+      this.showLinkedInImport();
+    };
+    input.click();
+  }
+
+  showLinkedInImport() {
+    const data = this.linkedinImport;
+    const count = (n, singular, plural) => `${n} ${n === 1 ? singular : plural}`;
+    const hasContent = this.hasResumeContent();
+
+    this.showModal('Import from LinkedIn', `
+      <p class="mb-1">Found in your LinkedIn data:</p>
+      <ul class="mapping-report mb-2">
+        <li>${data.personalInfo.fullName ? 'Profile and contact details' : 'No profile details'}</li>
+        <li>${count(data.experience.length, 'position', 'positions')}</li>
+        <li>${count(data.education.length, 'education entry', 'education entries')}</li>
+        <li>${count(data.skills.length, 'skill', 'skills')}</li>
+        <li>${count(data.certifications.length, 'certification', 'certifications')}</li>
+      </ul>
+      ${hasContent ? `
+      <p class="text-muted">
+        <strong>Merge</strong> keeps your resume, fills in empty fields and adds the entries it does not have yet.
+        <strong>Replace</strong> swaps your resume for your LinkedIn profile.
+      </p>
+      ` : ''}
+    `, hasContent ? [
+      { text: 'Cancel', class: 'btn-secondary', action: () => app.closeModal() },
+      { text: 'Replace', class: 'btn-secondary', action: () => app.applyLinkedInImport('replace') },
+      { text: 'Merge', class: 'btn-primary', action: () => app.applyLinkedInImport('merge') }
+    ] : [
+      { text: 'Cancel', class: 'btn-secondary', action: () => app.closeModal() },
+      { text: 'Import', class: 'btn-primary', action: () => app.applyLinkedInImport('replace') }
+    ]);
+  }
+
+  applyLinkedInImport(mode) {
+    if (!this.linkedinImport) return;
+
+    if (mode === 'merge') {
+      const { data, added } = this.linkedin.merge(this.resumeData, this.linkedinImport);
+      this.resumeData = data;
+      this.saveData();
+      this.initForms();
+      const total = added.experience + added.education + added.skills + added.certifications;
+      this.showStatus(total > 0
+        ? `Merged: ${added.experience} positions, ${added.education} education entries, ${added.skills} skills and ${added.certifications} certifications added.`
+        : 'Merged: no new entries; empty fields were filled in.', 'success');
+    } else {
+      this.replaceResumeContent(this.linkedinImport);
+      this.showStatus('LinkedIn profile imported!', 'success');
+    }
+
+    this.linkedinImport = null;
+    this.closeModal();
+  }
+
   // ============ API SETTINGS ============
 
   loadAPISettings() {
@@ -226,6 +618,33 @@ class ResumeBuilderApp {
     this.navigateTo('settings');
   }
 
+  // ============ PDF SETTINGS ============
+
+  loadPDFSettings() {
+    this.pdfRenderer = this.storage.loadLocal('pdfRenderer') || 'layout';
+
+    const rendererSelect = document.getElementById('pdf-renderer');
+    if (rendererSelect) rendererSelect.value = this.pdfRenderer;
+  }
+
+  // Fetch the fonts the template uses, and fallback fonts only when the
+  // text has characters those cannot display. Returns a warning naming
+  // characters no configured font has, or null.
+  async loadFontsFor(template, ...content) {
+    const skip = ['photo', 'signature', 'exportSettings'];
+    const text = JSON.stringify(content, (key, value) => (skip.includes(key) ? undefined : value));
+    const result = await this.pdf.loadFontsFor(text, this.pdf.getTemplateFonts(template));
+    if (result.missing.length === 0) return null;
+    const shown = result.missing.slice(0, 10).join(' ') + (result.missing.length > 10 ? ' …' : '');
+    return `Some characters cannot be shown in the PDF (${shown}). Add a font that covers them in js/font-config.js.`;
+  }
+
+  savePDFRenderer(renderer) {
+    this.pdfRenderer = renderer;
+    this.storage.saveLocal('pdfRenderer', renderer);
+    this.showStatus('PDF settings saved!', 'success');
+  }
+
   // ============ NAVIGATION ============
 
   initNavigation() {
@@ -249,6 +668,11 @@ class ResumeBuilderApp {
       sec.classList.add('hidden');
     });
     document.getElementById(`section-${section}`).classList.remove('hidden');
+
+    // The preview is sized to its panel, which has no width while hidden
+    if (section === 'resume') this.renderResumePreview();
+    // Thumbnails show the resume as it is now
+    if (section === 'templates') this.renderTemplateGrid();
   }
 
   // ============ TABS ============
@@ -280,11 +704,111 @@ class ResumeBuilderApp {
   // ============ FORMS ============
 
   initForms() {
+    this.initPhotoForm();
     this.initPersonalForm();
     this.renderExperienceList();
     this.renderEducationList();
     this.initSkillsForm();
+    this.initExportForm();
     this.initJobForm();
+    this.initLetterForm();
+    this.initSignatureForm();
+  }
+
+  // ============ PHOTO ============
+
+  initPhotoForm() {
+    const container = document.getElementById('photo-form');
+    if (!container) return;
+
+    const photo = this.resumeData.personalInfo.photo;
+    const shape = (photo && photo.shape) || 'circle';
+
+    container.innerHTML = `
+      <div class="fb-field photo-field">
+        <label class="fb-label">Photo</label>
+        <div class="flex gap-1">
+          <div class="photo-thumb photo-thumb-empty">No photo</div>
+          <div>
+            <div class="flex gap-1">
+              <button class="btn btn-sm btn-outline" onclick="app.uploadPhoto()">${photo ? 'Change Photo' : 'Upload Photo'}</button>
+              ${photo ? '<button class="btn btn-sm btn-secondary" onclick="app.removePhoto()">Remove</button>' : ''}
+            </div>
+            <select class="fb-select mt-1" id="photo-shape" onchange="app.updatePhoto({ shape: this.value })">
+              <option value="circle" ${shape === 'circle' ? 'selected' : ''}>Circle</option>
+              <option value="square" ${shape === 'square' ? 'selected' : ''}>Square</option>
+            </select>
+          </div>
+        </div>
+        <small class="fb-help">Shown in templates with a photo slot. Turn it off per export under Export.</small>
+      </div>
+    `;
+
+    // The image comes from saved or imported data, so it is set through the DOM
+    if (photo && photo.image) {
+      const thumb = document.createElement('img');
+      thumb.className = `photo-thumb photo-thumb-${shape === 'square' ? 'square' : 'circle'}`;
+      thumb.src = photo.image;
+      thumb.alt = 'Profile photo';
+      container.querySelector('.photo-thumb-empty').replaceWith(thumb);
+    }
+  }
+
+  updatePhoto(changes) {
+    this.resumeData.personalInfo.photo = { shape: 'circle', ...this.resumeData.personalInfo.photo, ...changes };
+    this.saveData();
+    this.initPhotoForm();
+  }
+
+  removePhoto() {
+    this.resumeData.personalInfo.photo = null;
+    this.saveData();
+    this.initPhotoForm();
+  }
+
+  uploadPhoto() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/png,image/jpeg,image/webp';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = () => this.showPhotoCropper(reader.result);
+      reader.readAsDataURL(file);
+    };
+    input.click();
+  }
+
+  async showPhotoCropper(src) {
+    const shape = (this.resumeData.personalInfo.photo && this.resumeData.personalInfo.photo.shape) || 'circle';
+
+    this.showModal('Crop Photo', `
+      <canvas class="photo-crop-canvas" id="photo-crop-canvas" width="400" height="400"></canvas>
+      <div class="fb-field mt-2">
+        <label class="fb-label" for="photo-crop-zoom">Zoom</label>
+        <input type="range" id="photo-crop-zoom" min="1" max="4" step="0.05" value="1"
+               oninput="app.photoCropper.setZoom(parseFloat(this.value))">
+        <small class="fb-help">Drag the photo to position it.</small>
+      </div>
+    `, [
+      { text: 'Cancel', class: 'btn-secondary', action: () => app.closeModal() },
+      { text: 'Use Photo', class: 'btn-primary', action: () => app.savePhotoCrop() }
+    ]);
+
+    this.photoCropper = new ImageCropper(document.getElementById('photo-crop-canvas'), { outputSize: 400, shape });
+    const result = await this.photoCropper.load(src);
+    if (!result.success) {
+      this.closeModal();
+      this.showStatus('Failed to load photo: ' + result.error, 'error');
+    }
+  }
+
+  savePhotoCrop() {
+    const image = this.photoCropper && this.photoCropper.toDataURL('image/jpeg', 0.85);
+    if (image) this.updatePhoto({ image });
+    this.closeModal();
   }
 
   initPersonalForm() {
@@ -305,8 +829,14 @@ class ResumeBuilderApp {
         { name: 'location', label: 'Location', type: 'text', placeholder: 'New York, NY' },
         { name: 'linkedin', label: 'LinkedIn', type: 'text', placeholder: 'linkedin.com/in/johndoe' },
         { name: 'website', label: 'Website', type: 'text', placeholder: 'johndoe.com' },
+        { name: 'direction', label: 'Text Direction', type: 'select', options: [
+          { value: 'auto', label: 'Automatic (detect from content)' },
+          { value: 'ltr', label: 'Left to right' },
+          { value: 'rtl', label: 'Right to left' }
+        ], help: 'Right-to-left mirrors the layout for Arabic, Hebrew and similar scripts.' },
         { name: 'summary', label: 'Professional Summary', type: 'textarea', rows: 4,
-          placeholder: 'Brief overview of your experience and goals...', help: 'Keep it concise, 2-3 sentences.' }
+          placeholder: 'Brief overview of your experience and goals...',
+          help: 'Keep it concise, 2-3 sentences. Use **bold**, *italic* and [link text](https://...) for emphasis.' }
       ])
       .setData(this.resumeData.personalInfo)
       .render();
@@ -343,35 +873,35 @@ class ResumeBuilderApp {
     container.innerHTML = this.resumeData.experience.map((exp, index) => `
       <div class="fb-array-item">
         <div class="flex-between mb-1">
-          <strong>${exp.title || 'Position'}</strong>
+          <strong>${this.escapeHTML(exp.title || 'Position')}</strong>
           <button class="btn btn-sm btn-danger" onclick="app.removeExperience(${index})">Remove</button>
         </div>
-        <div class="text-muted mb-1">${exp.company || 'Company'} | ${exp.startDate || 'Start'} - ${exp.endDate || 'End'}</div>
+        <div class="text-muted mb-1">${this.escapeHTML(exp.company || 'Company')} | ${this.escapeHTML(exp.startDate || 'Start')} - ${this.escapeHTML(exp.endDate || 'End')}</div>
         <div class="fb-field">
           <label class="fb-label">Job Title</label>
-          <input type="text" class="fb-input" value="${exp.title || ''}"
+          <input type="text" class="fb-input" value="${this.escapeHTML(exp.title)}"
                  onchange="app.updateExperience(${index}, 'title', this.value)">
         </div>
         <div class="fb-field">
           <label class="fb-label">Company</label>
-          <input type="text" class="fb-input" value="${exp.company || ''}"
+          <input type="text" class="fb-input" value="${this.escapeHTML(exp.company)}"
                  onchange="app.updateExperience(${index}, 'company', this.value)">
         </div>
         <div class="fb-field">
           <label class="fb-label">Location</label>
-          <input type="text" class="fb-input" value="${exp.location || ''}"
+          <input type="text" class="fb-input" value="${this.escapeHTML(exp.location)}"
                  onchange="app.updateExperience(${index}, 'location', this.value)">
         </div>
         <div class="flex gap-1">
           <div class="fb-field" style="flex:1">
             <label class="fb-label">Start Date</label>
-            <input type="text" class="fb-input" value="${exp.startDate || ''}"
+            <input type="text" class="fb-input" value="${this.escapeHTML(exp.startDate)}"
                    placeholder="Jan 2020"
                    onchange="app.updateExperience(${index}, 'startDate', this.value)">
           </div>
           <div class="fb-field" style="flex:1">
             <label class="fb-label">End Date</label>
-            <input type="text" class="fb-input" value="${exp.endDate || ''}"
+            <input type="text" class="fb-input" value="${this.escapeHTML(exp.endDate)}"
                    placeholder="Present"
                    onchange="app.updateExperience(${index}, 'endDate', this.value)">
           </div>
@@ -380,8 +910,9 @@ class ResumeBuilderApp {
           <label class="fb-label">Achievements (one per line)</label>
           <textarea class="fb-textarea" rows="4"
                     onchange="app.updateExperienceAchievements(${index}, this.value)"
-                    placeholder="Led team of 5 engineers...&#10;Increased revenue by 20%..."
-          >${(exp.achievements || []).join('\n')}</textarea>
+                    placeholder="Led team of 5 engineers...&#10;Increased revenue by **20%**..."
+          >${this.escapeHTML((exp.achievements || []).join('\n'))}</textarea>
+          <small class="fb-help">Supports **bold**, *italic* and [link text](https://...)</small>
         </div>
         ${this.ai.isConfigured() ? `
         <button class="btn btn-sm btn-outline mt-1" onclick="app.enhanceExperience(${index})">
@@ -462,24 +993,24 @@ class ResumeBuilderApp {
     container.innerHTML = this.resumeData.education.map((edu, index) => `
       <div class="fb-array-item">
         <div class="flex-between mb-1">
-          <strong>${edu.degree || 'Degree'}</strong>
+          <strong>${this.escapeHTML(edu.degree || 'Degree')}</strong>
           <button class="btn btn-sm btn-danger" onclick="app.removeEducation(${index})">Remove</button>
         </div>
         <div class="fb-field">
           <label class="fb-label">Degree</label>
-          <input type="text" class="fb-input" value="${edu.degree || ''}"
+          <input type="text" class="fb-input" value="${this.escapeHTML(edu.degree)}"
                  placeholder="Bachelor of Science in Computer Science"
                  onchange="app.updateEducation(${index}, 'degree', this.value)">
         </div>
         <div class="fb-field">
           <label class="fb-label">Institution</label>
-          <input type="text" class="fb-input" value="${edu.institution || ''}"
+          <input type="text" class="fb-input" value="${this.escapeHTML(edu.institution)}"
                  placeholder="University Name"
                  onchange="app.updateEducation(${index}, 'institution', this.value)">
         </div>
         <div class="fb-field">
           <label class="fb-label">Year</label>
-          <input type="text" class="fb-input" value="${edu.year || ''}"
+          <input type="text" class="fb-input" value="${this.escapeHTML(edu.year)}"
                  placeholder="2020"
                  onchange="app.updateEducation(${index}, 'year', this.value)">
         </div>
@@ -508,6 +1039,51 @@ class ResumeBuilderApp {
     this.saveData();
   }
 
+  initExportForm() {
+    const form = new FormBuilder({
+      cssPrefix: 'fb-',
+      onChange: (data) => {
+        this.resumeData.exportSettings = this.pdf.resolveExportSettings(data);
+        this.saveData();
+      }
+    });
+
+    form.setContainer('#export-form')
+      .setFields([
+        { name: 'format', label: 'Page Size', type: 'select', options: [
+          { value: 'letter', label: 'US Letter (8.5 × 11 in)' },
+          { value: 'a4', label: 'A4 (210 × 297 mm)' },
+          { value: 'legal', label: 'US Legal (8.5 × 14 in)' }
+        ] },
+        { name: 'margin', label: 'Margins (mm)', type: 'number', min: 5, max: 40,
+          placeholder: 'Template default', help: 'Leave empty to use the template margins.' },
+        { name: 'fontSize', label: 'Base Font Size (pt)', type: 'number', min: 8, max: 14 },
+        { name: 'lineSpacing', label: 'Line Spacing', type: 'select', options: [
+          { value: '0.85', label: 'Compact' },
+          { value: '1', label: 'Normal' },
+          { value: '1.15', label: 'Relaxed' },
+          { value: '1.3', label: 'Spacious' }
+        ] },
+        { name: 'fitPages', label: 'Fit to Pages', type: 'select', options: [
+          { value: '', label: 'Off' },
+          { value: '1', label: 'One page' },
+          { value: '2', label: 'Two pages' }
+        ], help: 'Tightens spacing, font size and margins (within the template limits) until the resume fits. Font size, line spacing and fitting apply to the standard PDF renderer.' },
+        { name: 'runningHeaders', label: 'Page Headers', type: 'checkbox',
+          checkboxLabel: 'Repeat your name and show page numbers on multi-page PDFs' },
+        { name: 'includePhoto', label: 'Photo', type: 'checkbox',
+          checkboxLabel: 'Include my profile photo',
+          help: 'Leave this off for US and Canadian applications, where photos are not expected.' },
+        { name: 'tagged', label: 'Accessibility', type: 'checkbox',
+          checkboxLabel: 'Tagged PDF (headings, lists and reading order for screen readers)',
+          help: 'Tagged PDFs always use the standard PDF renderer.' },
+        { name: 'language', label: 'Document Language', type: 'text', placeholder: 'en-US',
+          help: 'Language code screen readers use to pronounce the resume, e.g. en-US, de-DE, he.' }
+      ])
+      .setData(this.pdf.resolveExportSettings(this.resumeData.exportSettings))
+      .render();
+  }
+
   initSkillsForm() {
     const container = document.getElementById('skills-form');
     if (!container) return;
@@ -518,7 +1094,7 @@ class ResumeBuilderApp {
         <textarea class="fb-textarea" id="skills-input" rows="3"
                   placeholder="JavaScript, Python, Project Management, Communication..."
                   onchange="app.updateSkills(this.value)"
-        >${this.resumeData.skills.join(', ')}</textarea>
+        >${this.escapeHTML(this.resumeData.skills.join(', '))}</textarea>
         <small class="fb-help">Enter your skills separated by commas</small>
       </div>
 
@@ -548,25 +1124,29 @@ class ResumeBuilderApp {
 
     container.innerHTML = this.resumeData.certifications.map((cert, index) => `
       <div class="flex gap-1 mb-1" style="align-items: center;">
-        <input type="text" class="fb-input" value="${cert.name || ''}"
+        <input type="text" class="fb-input" value="${this.escapeHTML(cert.name)}"
                placeholder="Certification name"
                style="flex: 2;"
                onchange="app.updateCertification(${index}, 'name', this.value)">
-        <input type="text" class="fb-input" value="${cert.issuer || ''}"
+        <input type="text" class="fb-input" value="${this.escapeHTML(cert.issuer)}"
                placeholder="Issuer"
                style="flex: 1;"
                onchange="app.updateCertification(${index}, 'issuer', this.value)">
-        <input type="text" class="fb-input" value="${cert.year || ''}"
+        <input type="text" class="fb-input" value="${this.escapeHTML(cert.year)}"
                placeholder="Year"
                style="width: 80px;"
                onchange="app.updateCertification(${index}, 'year', this.value)">
+        <input type="url" class="fb-input" value="${this.escapeHTML(cert.url)}"
+               placeholder="Verification link"
+               style="flex: 1;"
+               onchange="app.updateCertification(${index}, 'url', this.value)">
         <button class="btn btn-sm btn-danger" onclick="app.removeCertification(${index})">×</button>
       </div>
     `).join('');
   }
 
   addCertification() {
-    this.resumeData.certifications.push({ name: '', issuer: '', year: '' });
+    this.resumeData.certifications.push({ name: '', issuer: '', year: '', url: '' });
     this.saveData();
     this.renderCertificationsList();
   }
@@ -591,29 +1171,135 @@ class ResumeBuilderApp {
         <label class="fb-label">Company Name</label>
         <input type="text" class="fb-input" id="job-company"
                placeholder="Company you're applying to"
-               value="${this.coverLetterData.company || ''}">
+               value="${this.escapeHTML(this.coverLetterData.company)}">
       </div>
       <div class="fb-field">
         <label class="fb-label">Position</label>
         <input type="text" class="fb-input" id="job-position"
                placeholder="Job title"
-               value="${this.coverLetterData.position || ''}">
+               value="${this.escapeHTML(this.coverLetterData.position)}">
       </div>
       <div class="fb-field">
         <label class="fb-label">Job Description (optional)</label>
         <textarea class="fb-textarea" id="job-description" rows="4"
                   placeholder="Paste the job description here for a more tailored letter..."
-        >${this.coverLetterData.description || ''}</textarea>
+        >${this.escapeHTML(this.coverLetterData.description)}</textarea>
       </div>
       <div class="fb-field">
         <label class="fb-label">Key Requirements (optional)</label>
         <textarea class="fb-textarea" id="job-requirements" rows="2"
                   placeholder="Key skills or requirements from the job posting..."
-        >${this.coverLetterData.requirements || ''}</textarea>
+        >${this.escapeHTML(this.coverLetterData.requirements)}</textarea>
       </div>
     `;
   }
 
+  initLetterForm() {
+    const form = new FormBuilder({
+      cssPrefix: 'fb-',
+      onChange: (data) => {
+        Object.assign(this.coverLetterData, data);
+        this.saveData();
+        this.renderCoverLetterPreview();
+      }
+    });
+
+    form.setContainer('#letter-form')
+      .setFields([
+        { name: 'date', label: 'Letter Date', type: 'text', placeholder: this.pdf.getLetterDate(),
+          help: "Leave empty to use today's date." },
+        { name: 'recipient', type: 'group', title: 'Recipient', fields: [
+          { name: 'name', label: 'Name', type: 'text', placeholder: 'Hiring manager' },
+          { name: 'title', label: 'Title', type: 'text', placeholder: 'Head of Engineering' },
+          { name: 'company', label: 'Company', type: 'text', placeholder: 'Defaults to the company above' },
+          { name: 'address', label: 'Address', type: 'textarea', rows: 2 }
+        ] },
+        { name: 'greeting', label: 'Greeting', type: 'text', placeholder: 'Dear Hiring Manager,' },
+        { name: 'closing', label: 'Closing', type: 'text', placeholder: 'Sincerely,' }
+      ])
+      .setData({
+        date: this.coverLetterData.date || '',
+        recipient: { ...this.coverLetterData.recipient },
+        greeting: this.coverLetterData.greeting || '',
+        closing: this.coverLetterData.closing || ''
+      })
+      .render();
+  }
+
+  // ============ SIGNATURE ============
+
+  getDefaultSignature() {
+    return { image: null, width: 45, offset: 0 };
+  }
+
+  initSignatureForm() {
+    const container = document.getElementById('signature-form');
+    if (!container) return;
+
+    const signature = { ...this.getDefaultSignature(), ...this.resumeData.personalInfo.signature };
+
+    container.innerHTML = `
+      <canvas class="signature-canvas" id="signature-canvas" width="600" height="200"
+              aria-label="Draw your signature"></canvas>
+      <small class="fb-help">Draw with your mouse, pen or finger, or upload a PNG with a transparent background.</small>
+      <div class="flex gap-1 mt-1">
+        <button class="btn btn-sm btn-secondary" onclick="app.clearSignature()">Clear</button>
+        <button class="btn btn-sm btn-outline" onclick="app.uploadSignature()">Upload PNG</button>
+      </div>
+      <div class="fb-field mt-2">
+        <label class="fb-label" for="signature-width">Width (mm)</label>
+        <input type="number" class="fb-input" id="signature-width" min="20" max="80"
+               value="${parseFloat(signature.width) || 45}" onchange="app.updateSignature({ width: parseFloat(this.value) || 45 })">
+      </div>
+      <div class="fb-field">
+        <label class="fb-label" for="signature-offset">Indent (mm)</label>
+        <input type="number" class="fb-input" id="signature-offset" min="0" max="100"
+               value="${parseFloat(signature.offset) || 0}" onchange="app.updateSignature({ offset: parseFloat(this.value) || 0 })">
+        <small class="fb-help">Space between the margin and the signature.</small>
+      </div>
+    `;
+
+    this.signaturePad = new SignaturePad(document.getElementById('signature-canvas'), {
+      onChange: (pad) => this.updateSignature({ image: pad.toDataURL() })
+    });
+    if (signature.image) this.signaturePad.loadImage(signature.image);
+  }
+
+  updateSignature(changes) {
+    const signature = { ...this.getDefaultSignature(), ...this.resumeData.personalInfo.signature, ...changes };
+    this.resumeData.personalInfo.signature = signature;
+    this.saveData();
+    this.renderCoverLetterPreview();
+  }
+
+  clearSignature() {
+    this.signaturePad.clear();
+    this.updateSignature({ image: null });
+  }
+
+  uploadSignature() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'image/png';
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = async () => {
+        const result = await this.signaturePad.loadImage(reader.result);
+        if (!result.success) {
+          this.showStatus('Failed to load signature: ' + result.error, 'error');
+          return;
+        }
+        this.updateSignature({ image: this.signaturePad.toDataURL() });
+        this.showStatus('Signature added.', 'success');
+      };
+      reader.readAsDataURL(file);
+    };
+    input.click();
+  }
+
   // ============ COVER LETTER ============
 
   async generateCoverLetter() {
@@ -635,8 +1321,8 @@ class ResumeBuilderApp {
       return;
     }
 
-    // Save job data
-    this.coverLetterData = jobData;
+    // Save job data, keeping the letter details
+    this.coverLetterData = { ...this.coverLetterData, ...jobData };
     this.saveData();
 
     // Show loading
@@ -660,37 +1346,48 @@ class ResumeBuilderApp {
     }
   }
 
+  /**
+   * The parts of the cover letter shared by the preview and the PDF
+   */
+  getCoverLetterParts() {
+    const letter = this.coverLetterData;
+    const recipient = letter.recipient || {};
+    return {
+      content: letter.content || '',
+      date: this.pdf.getLetterDate(letter.date),
+      recipient: {
+        name: recipient.name || '',
+        title: recipient.title || '',
+        company: recipient.company || letter.company || '',
+        address: recipient.address || ''
+      },
+      greeting: letter.greeting || 'Dear Hiring Manager,',
+      closing: letter.closing || 'Sincerely,'
+    };
+  }
+
   renderCoverLetterPreview() {
     const container = document.getElementById('cover-letter-preview');
     if (!container || !this.coverLetterData.content) return;
 
     const template = window.StandardCoverLetterTemplate;
+    const personalInfo = this.resumeData.personalInfo;
+    const parts = this.getCoverLetterParts();
     const data = {
-      personalInfo: this.resumeData.personalInfo,
-      date: new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
-      recipient: {
-        company: this.coverLetterData.company
+      ...parts,
+      // The recipient block is left out when every field is empty
+      recipient: Object.values(parts.recipient).some(Boolean) ? parts.recipient : null,
+      personalInfo: {
+        ...personalInfo,
+        fullName: personalInfo.fullName || 'Your Name',
+        signature: { ...this.getDefaultSignature(), ...personalInfo.signature }
       },
-      content: this.coverLetterData.content,
-      greeting: 'Dear Hiring Manager,',
-      closing: 'Sincerely,'
+      direction: this.pdf.resolveDirection(personalInfo.direction,
+        `${personalInfo.fullName || ''} ${this.coverLetterData.content}`)
     };
 
-    // Simple template rendering
-    let html = template.html;
-    html = html.replace(/\{\{personalInfo\.fullName\}\}/g, data.personalInfo.fullName || 'Your Name');
-    html = html.replace(/\{\{personalInfo\.email\}\}/g, data.personalInfo.email || '');
-    html = html.replace(/\{\{personalInfo\.phone\}\}/g, data.personalInfo.phone || '');
-    html = html.replace(/\{\{personalInfo\.location\}\}/g, data.personalInfo.location || '');
-    html = html.replace(/\{\{date\}\}/g, data.date);
-    html = html.replace(/\{\{greeting\}\}/g, data.greeting);
-    html = html.replace(/\{\{content\}\}/g, data.content.replace(/\n/g, '<br>'));
-    html = html.replace(/\{\{closing\}\}/g, data.closing);
-
-    // Remove unrendered conditionals
-    html = html.replace(/\{\{#if[^}]*\}\}[\s\S]*?\{\{\/if\}\}/g, '');
-
-    container.innerHTML = `<style>${template.css}</style>${html}`;
+    const html = this.templates.render('standard', data);
+    this.templates.patchHTML(container, `<style>${template.css}</style>${html}`);
   }
 
   editCoverLetter() {
@@ -704,7 +1401,7 @@ class ResumeBuilderApp {
         <label class="fb-label">Cover Letter Content</label>
         <textarea class="fb-textarea" id="edit-cover-content" rows="15"
                   style="font-family: Georgia, serif;"
-        >${this.coverLetterData.content}</textarea>
+        >${this.escapeHTML(this.coverLetterData.content)}</textarea>
       </div>
     `, [
       { text: 'Cancel', class: 'btn-secondary', action: () => this.closeModal() },
@@ -720,6 +1417,9 @@ class ResumeBuilderApp {
   // ============ TEMPLATES ============
 
   registerTemplates() {
+    // {{inline text}} renders **bold**, *italic* and [links](url) markup
+    this.templates.registerHelper('inline', (text) => this.richText.toHTML(text || ''));
+
     if (window.ProfessionalTemplate) {
       this.templates.registerTemplate('professional', window.ProfessionalTemplate);
     }
@@ -747,9 +1447,7 @@ class ResumeBuilderApp {
         <div class="template-card ${this.selectedResumeTemplate === template.id ? 'selected' : ''}"
              onclick="app.selectResumeTemplate('${template.id}')">
           <div class="template-preview">
-            <div style="text-align: center; color: var(--text-light);">
-              Preview
-            </div>
+            ${this.getTemplateThumbnail(template.id)}
           </div>
           <div class="template-info">
             <div class="template-name">${template.name}</div>
@@ -763,6 +1461,78 @@ class ResumeBuilderApp {
     }
   }
 
+  // Shown in thumbnails until the user has entered something
+  getSampleResumeData() {
+    const defaults = this.getDefaultResumeData();
+    return {
+      ...defaults,
+      personalInfo: {
+        ...defaults.personalInfo,
+        fullName: 'Alex Morgan',
+        title: 'Product Designer',
+        email: 'alex.morgan@example.com',
+        phone: '(555) 123-4567',
+        location: 'Portland, OR',
+        website: 'alexmorgan.design'
+      },
+      summary: 'Product designer with eight years of experience turning research into simple, accessible interfaces for web and mobile.',
+      experience: [
+        {
+          title: 'Senior Product Designer',
+          company: 'Northwind Labs',
+          location: 'Portland, OR',
+          startDate: '2020',
+          endDate: 'Present',
+          achievements: [
+            'Led the redesign of the customer dashboard used by 40,000 teams',
+            'Built and maintained the company design system'
+          ]
+        },
+        {
+          title: 'UX Designer',
+          company: 'Bluebird Studio',
+          location: 'Seattle, WA',
+          startDate: '2016',
+          endDate: '2020',
+          achievements: [
+            'Designed onboarding flows that raised activation by 18%',
+            'Ran weekly usability tests with customers'
+          ]
+        }
+      ],
+      education: [
+        { degree: 'B.A. Interaction Design', institution: 'University of Washington', year: '2016' }
+      ],
+      skills: ['Figma', 'User Research', 'Prototyping', 'Accessibility', 'HTML and CSS'],
+      exportSettings: this.resumeData.exportSettings
+    };
+  }
+
+  hasResumeContent() {
+    const { personalInfo, summary, experience, education } = this.resumeData;
+    return Boolean(personalInfo.fullName || summary || experience.length || education.length);
+  }
+
+  getTemplateThumbnail(templateId) {
+    const template = this.templates.getTemplate(templateId);
+    if (!template || !template.html) return '';
+
+    const data = this.getTemplateData(this.hasResumeContent() ? this.resumeData : this.getSampleResumeData());
+    const settings = this.pdf.resolveExportSettings(this.resumeData.exportSettings);
+    // Rebuilt only when the resume or the page settings change
+    const key = JSON.stringify([data, settings.format, settings.margin]);
+    const cached = this.thumbnailCache.get(templateId);
+    if (cached && cached.key === key) return cached.html;
+
+    const html = this.pagePreview.renderThumbnail(this.templates.render(templateId, data), template.css, {
+      format: settings.format,
+      margin: settings.margin || (template.pdf || {}).margin,
+      height: 180
+    });
+    this.thumbnailCache.set(templateId, { key, html });
+    return html;
+  }
+
   selectResumeTemplate(templateId) {
     const template = this.templates.getTemplate(templateId);
     if (template && template.isPremium && !this.isPremium) {
@@ -776,64 +1546,281 @@ class ResumeBuilderApp {
     this.showStatus(`Template "${templateId}" selected!`, 'success');
   }
 
+  // ============ LIVE PREVIEW ============
+
+  initResumePreview() {
+    this.previewTimer = null;
+    // Printing from the browser menu prints the same pages as the Print button
+    window.addEventListener('beforeprint', () => this.preparePrint());
+    window.addEventListener('resize', () => this.scheduleResumePreview());
+    this.renderResumePreview();
+  }
+
+  scheduleResumePreview() {
+    clearTimeout(this.previewTimer);
+    this.previewTimer = setTimeout(() => this.renderResumePreview(), 300);
+  }
+
+  renderResumePages(container, options = {}) {
+    const template = this.getSelectedResumeTemplate();
+    const settings = this.pdf.resolveExportSettings(this.resumeData.exportSettings);
+    const html = this.templates.render(this.selectedResumeTemplate, this.getTemplateData());
+
+    // Same page size and margin as the PDF
+    return this.pagePreview.render(container, html, template.css, {
+      format: settings.format,
+      margin: settings.margin || (template.pdf || {}).margin,
+      ...options
+    });
+  }
+
+  async renderResumePreview() {
+    const container = document.getElementById('resume-preview');
+    if (!container) return;
+
+    // Patched in place so scrolling and focus in the preview survive each keystroke
+    const result = await this.renderResumePages(container, {
+      pageNumbers: true,
+      scaleToFit: true,
+      patch: (element, markup) => this.templates.patchHTML(element, markup)
+    });
+    if (!result) return;
+    const { pages } = result;
+    document.getElementById('resume-preview-pages').textContent = `· ${pages} page${pages === 1 ? '' : 's'}`;
+  }
+
+  // Called from beforeprint, which does not wait: images the preview has
+  // already shown are decoded, so the pages are laid out before printing
+  async preparePrint() {
+    const root = document.getElementById('print-root');
+    if (!root) return;
+
+    const settings = this.pdf.resolveExportSettings(this.resumeData.exportSettings);
+    let style = document.getElementById('print-page-style');
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'print-page-style';
+      document.head.appendChild(style);
+    }
+    style.textContent = this.pagePreview.getPrintCSS(settings.format);
+
+    await this.renderResumePages(root);
+  }
+
+  async printResume() {
+    // Decode any images first; the beforeprint listener then lays out the pages
+    await this.preparePrint();
+    window.print();
+  }
+
   // ============ PDF GENERATION ============
 
-  previewResume() {
+  getSelectedResumeTemplate() {
+    return this.templates.getTemplate(this.selectedResumeTemplate) ||
+      this.templates.getTemplate('professional') || {};
+  }
+
+  getTemplateData(resumeData = this.resumeData) {
+    const personalInfo = resumeData.personalInfo;
+    const contactLinks = {};
+    ['email', 'phone', 'linkedin', 'website'].forEach(field => {
+      contactLinks[field] = this.pdf.getContactLink(field, personalInfo[field]) || '';
+    });
+
+    const settings = this.pdf.resolveExportSettings(resumeData.exportSettings);
+    const photo = personalInfo.photo && personalInfo.photo.image && settings.includePhoto
+      ? { shape: 'circle', ...personalInfo.photo }
+      : null;
+
+    return {
+      ...resumeData,
+      direction: this.pdf.getResumeDirection(resumeData),
+      contactLinks,
+      photo,
+      certifications: resumeData.certifications.map(cert => ({
+        ...cert,
+        link: (cert.url && this.pdf.normalizeURL(cert.url)) || ''
+      }))
+    };
+  }
+
+  async buildResumePDF() {
+    const template = this.getSelectedResumeTemplate();
+    const fontWarning = await this.loadFontsFor(template, this.resumeData);
+    const settings = this.pdf.resolveExportSettings(this.resumeData.exportSettings);
+
+    // The HTML renderer places text by position only, so it cannot tag a PDF
+    if (this.pdfRenderer === 'html' && template.html && !settings.tagged) {
+      const html = this.templates.render(this.selectedResumeTemplate, this.getTemplateData());
+      const doc = await this.pdf.generateFromHTML(html, template.css, {
+        format: settings.format,
+        margin: settings.margin || (template.pdf || {}).margin,
+        properties: this.pdf.getResumeProperties(this.resumeData)
+      });
+      return { doc, warning: fontWarning };
+    }
+
+    if (settings.fitPages) {
+      const result = this.pdf.fitResume(this.resumeData, template, settings);
+      const overflow = result.overflow.map(section => section.title).join(', ');
+      const fitWarning = result.success ? null : `Resume still needs ${result.pages} pages at the smallest allowed size. Overflowing: ${overflow}`;
+      return {
+        doc: result.doc,
+        warning: [fitWarning, fontWarning].filter(Boolean).join(' ') || null
+      };
+    }
+
+    return { doc: this.pdf.generateResume(this.resumeData, template, settings), warning: fontWarning };
+  }
+
+  async buildCoverLetterPDF() {
+    const template = window.StandardCoverLetterTemplate || {};
+    const warning = await this.loadFontsFor(template, this.getCoverLetterParts(), this.resumeData.personalInfo);
+    const doc = this.pdf.generateCoverLetter(
+      this.getCoverLetterParts(),
+      this.resumeData.personalInfo,
+      template,
+      this.resumeData.exportSettings
+    );
+    return { doc, warning };
+  }
+
+  async previewResume() {
     try {
-      const doc = this.pdf.generateResume(this.resumeData);
+      const { doc, warning } = await this.buildResumePDF();
       this.pdf.preview(doc);
+      if (warning) this.showStatus(warning, 'error');
     } catch (error) {
       this.showStatus('Error generating preview: ' + error.message, 'error');
     }
   }
 
-  downloadResume() {
+  async downloadResume() {
     try {
-      const doc = this.pdf.generateResume(this.resumeData);
+      const { doc, warning } = await this.buildResumePDF();
       const filename = `${this.resumeData.personalInfo.fullName || 'Resume'}-Resume.pdf`.replace(/\s+/g, '_');
       this.pdf.save(doc, filename);
+      this.showStatus(warning || 'Resume downloaded!', warning ? 'error' : 'success');
+    } catch (error) {
+      this.showStatus('Error downloading: ' + error.message, 'error');
+    }
+  }
+
+  async downloadResumeDOCX() {
+    try {
+      const blob = await this.docx.generateResume(this.resumeData, this.getSelectedResumeTemplate(), this.resumeData.exportSettings);
+      const filename = `${this.resumeData.personalInfo.fullName || 'Resume'}-Resume.docx`.replace(/\s+/g, '_');
+      this.docx.save(blob, filename);
       this.showStatus('Resume downloaded!', 'success');
     } catch (error) {
       this.showStatus('Error downloading: ' + error.message, 'error');
     }
   }
 
-  previewCoverLetter() {
+  async previewCoverLetter() {
     if (!this.coverLetterData.content) {
       this.showStatus('Generate a cover letter first.', 'error');
       return;
     }
 
     try {
-      const doc = this.pdf.generateCoverLetter(
-        this.coverLetterData.content,
-        this.resumeData.personalInfo
-      );
+      const { doc, warning } = await this.buildCoverLetterPDF();
       this.pdf.preview(doc);
+      if (warning) this.showStatus(warning, 'error');
     } catch (error) {
       this.showStatus('Error generating preview: ' + error.message, 'error');
     }
   }
 
-  downloadCoverLetter() {
+  async downloadCoverLetter() {
     if (!this.coverLetterData.content) {
       this.showStatus('Generate a cover letter first.', 'error');
       return;
     }
 
     try {
-      const doc = this.pdf.generateCoverLetter(
-        this.coverLetterData.content,
-        this.resumeData.personalInfo
-      );
+      const { doc, warning } = await this.buildCoverLetterPDF();
       const filename = `${this.resumeData.personalInfo.fullName || 'Cover'}-CoverLetter-${this.coverLetterData.company || 'Company'}.pdf`.replace(/\s+/g, '_');
       this.pdf.save(doc, filename);
+      this.showStatus(warning || 'Cover letter downloaded!', warning ? 'error' : 'success');
+    } catch (error) {
+      this.showStatus('Error downloading: ' + error.message, 'error');
+    }
+  }
+
+  async downloadCoverLetterDOCX() {
+    if (!this.coverLetterData.content) {
+      this.showStatus('Generate a cover letter first.', 'error');
+      return;
+    }
+
+    try {
+      const blob = await this.docx.generateCoverLetter(
+        this.getCoverLetterParts(),
+        this.resumeData.personalInfo,
+        window.StandardCoverLetterTemplate || {},
+        this.resumeData.exportSettings
+      );
+      const filename = `${this.resumeData.personalInfo.fullName || 'Cover'}-CoverLetter-${this.coverLetterData.company || 'Company'}.docx`.replace(/\s+/g, '_');
+      this.docx.save(blob, filename);
       this.showStatus('Cover letter downloaded!', 'success');
     } catch (error) {
       this.showStatus('Error downloading: ' + error.message, 'error');
     }
   }
 
+  // ============ TEXT EXPORT ============
+
+  getResumeText(format) {
+    const template = this.getSelectedResumeTemplate();
+    return format === 'markdown'
+      ? this.textExporter.toMarkdown(this.resumeData, template)
+      : this.textExporter.toPlainText(this.resumeData, template);
+  }
+
+  showTextExport(format = 'text') {
+    this.textExportFormat = format;
+    this.showModal('Copy as Text', `
+      <div class="fb-field">
+        <label class="fb-label" for="text-export-format">Format</label>
+        <select class="fb-select" id="text-export-format" onchange="app.showTextExport(this.value)">
+          <option value="text" ${format === 'text' ? 'selected' : ''}>Plain text (for application forms)</option>
+          <option value="markdown" ${format === 'markdown' ? 'selected' : ''}>Markdown</option>
+        </select>
+      </div>
+      <textarea class="fb-textarea text-export-output" id="text-export-output" rows="18" readonly></textarea>
+    `, [
+      { text: 'Download', class: 'btn-secondary', action: () => app.downloadResumeText() },
+      { text: 'Copy', class: 'btn-primary', action: () => app.copyResumeText() }
+    ]);
+
+    document.getElementById('text-export-output').value = this.getResumeText(format);
+  }
+
+  async copyResumeText() {
+    try {
+      await navigator.clipboard.writeText(this.getResumeText(this.textExportFormat));
+      this.showStatus('Resume copied to the clipboard!', 'success');
+    } catch (error) {
+      // Clipboard access can be blocked; let the user copy by hand
+      document.getElementById('text-export-output').select();
+      this.showStatus('Could not copy automatically. Press Ctrl+C to copy the selected text.', 'error');
+    }
+  }
+
+  downloadResumeText() {
+    const markdown = this.textExportFormat === 'markdown';
+    const blob = new Blob([this.getResumeText(this.textExportFormat)], {
+      type: markdown ? 'text/markdown' : 'text/plain'
+    });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${this.resumeData.personalInfo.fullName || 'Resume'}-Resume.${markdown ? 'md' : 'txt'}`.replace(/\s+/g, '_');
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
   // ============ AUTH ============
 
   checkAuthState() {
@@ -893,7 +1880,7 @@ class ResumeBuilderApp {
     try {
       const result = await this.storage.loadCloud('data', 'resume');
       if (result.success && result.data) {
-        this.resumeData = { ...this.getDefaultResumeData(), ...result.data };
+        this.resumeData = this.toResumeData(result.data);
         this.initForms();
         this.showStatus('Data synced from cloud!', 'success');
       }
@@ -1088,7 +2075,13 @@ class ResumeBuilderApp {
 
   // ============ UI HELPERS ============
 
-  showModal(title, body, buttons = []) {
+  // Saved and imported data going into markup built from strings
+  escapeHTML(value) {
+    return this.richText.escapeHTML(value === undefined || value === null ? '' : value);
+  }
+
+  showModal(title, body, buttons = [], options = {}) {
+    document.getElementById('modal').classList.toggle('modal-wide', Boolean(options.wide));
     document.getElementById('modal-title').textContent = title;
     document.getElementById('modal-body').innerHTML = body;
 
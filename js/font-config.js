@@ -0,0 +1,55 @@
+/**
+ * PDF Font Configuration
+ *
+ * The built-in PDF fonts (Helvetica, Times, Courier) only cover Western
+ * European characters. TrueType fonts listed here are fetched and embedded
+ * when an export needs them, so names and text in Polish, Czech,
+ * Vietnamese, Cyrillic, Greek, CJK and other scripts come out correctly.
+ * Noto Sans (Latin, Greek and Cyrillic) ships in assets/fonts/ as the
+ * fallback; add fonts for other scripts the same way.
+ *
+ * SETUP INSTRUCTIONS:
+ * 1. Download the TTF files (Noto fonts: https://fonts.google.com/noto)
+ * 2. Copy them into assets/fonts/
+ * 3. List them below, one entry per family (see the commented example):
+ *    - name:     family name templates use in `pdf.fonts.heading` / `pdf.fonts.body`
+ *    - files:    style -> path ('normal', 'bold', 'italic', 'bolditalic')
+ *    - fallback: true to use this family for any text the template font
+ *                cannot display (checked in list order)
+ *
+ * Fonts are fetched only when an export needs them: a family when a
+ * template uses it, a fallback font when the text has characters the fonts
+ * loaded so far cannot display. A large CJK font is then only fetched and
+ * embedded for resumes written in Chinese, Japanese or Korean.
+ *
+ * Missing files are skipped with a console warning. Exports warn when some
+ * characters have no glyphs in any listed font.
+ */
+
+const fontConfig = {
+  fonts: [
+    {
+      name: 'NotoSans',
+      files: {
+        normal: 'assets/fonts/NotoSans-Regular.ttf',
+        bold: 'assets/fonts/NotoSans-Bold.ttf',
+        italic: 'assets/fonts/NotoSans-Italic.ttf',
+        bolditalic: 'assets/fonts/NotoSans-BoldItalic.ttf'
+      },
+      fallback: true
+    },
+    // Example, once the files are in assets/fonts/:
+    // {
+    //   name: 'NotoSansSC',
+    //   files: {
+    //     normal: 'assets/fonts/NotoSansSC-Regular.ttf'
+    //   },
+    //   fallback: true
+    // }
+  ]
+};
+
+// Export config
+if (typeof window !== 'undefined') {
+  window.fontConfig = fontConfig;
+}
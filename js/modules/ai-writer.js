@@ -113,7 +113,7 @@ class AIWriter {
 Write compelling, personalized cover letters that highlight relevant experience and skills.
 Keep the tone professional yet personable. Be concise but impactful.
 Do not use generic phrases. Tailor every sentence to the specific job and candidate.
-Format the letter properly with appropriate greeting, body paragraphs, and closing.`;
+Write only the body paragraphs: the greeting, closing and signature are added separately.`;
 
     const userPrompt = `Write a cover letter for the following job application:
 
@@ -0,0 +1,727 @@
+/**
+ * DOCX Generator Module
+ * Word documents (.docx) built in the browser with JSZip. Layouts, colors,
+ * fonts and export settings come from the same template configuration as
+ * PDFGenerator, whose helpers are reused.
+ * Reusable across applications
+ */
+
+// Word fonts closest to the standard PDF fonts
+const WORD_FONTS = { helvetica: 'Arial', times: 'Times New Roman', courier: 'Courier New' };
+
+// Page sizes in twentieths of a point
+const WORD_PAGE_SIZES = {
+  a4: { width: 11906, height: 16838 },
+  letter: { width: 12240, height: 15840 },
+  legal: { width: 12240, height: 20160 }
+};
+
+const TWIPS_PER_MM = 1440 / 25.4;
+const EMU_PER_MM = 36000;
+
+const DOCX_NAMESPACES = [
+  'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+  'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+  'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+].join(' ');
+
+const DOCX_RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+class DOCXGenerator {
+  /**
+   * @param {object} options - `pdf`: PDFGenerator whose layout and settings
+   *   helpers are used; `richText`: RichText for inline markup
+   */
+  constructor(options = {}) {
+    this.pdf = options.pdf || new PDFGenerator();
+    this.richText = options.richText || this.pdf.richText;
+  }
+
+  /**
+   * Check if JSZip is loaded
+   */
+  isReady() {
+    return typeof window !== 'undefined' && typeof window.JSZip !== 'undefined';
+  }
+
+  /**
+   * Create the state shared by the document helpers
+   * @param {object} config - Template PDF configuration
+   * @param {object} settings - Export settings (see PDFGenerator.getDefaultExportSettings)
+   * @param {string} direction - 'ltr' | 'rtl'
+   */
+  createContext(config, settings, direction = 'ltr') {
+    const exportSettings = this.pdf.resolveExportSettings(settings);
+    const fonts = config.fonts || {};
+    return {
+      layout: this.pdf.resolveLayout(config.layout),
+      settings: exportSettings,
+      margin: exportSettings.margin || config.margin || this.pdf.margin,
+      fontScale: exportSettings.fontSize / this.pdf.getDefaultExportSettings().fontSize,
+      lineSpacing: exportSettings.lineSpacing,
+      rtl: direction === 'rtl',
+      fonts: {
+        heading: this.getWordFont(fonts.heading || this.pdf.defaultFont),
+        body: this.getWordFont(fonts.body || this.pdf.defaultFont)
+      },
+      colors: this.pdf.resolveColors(config),
+      body: [],                     // Paragraph XML, in order
+      relationships: [],            // { id, type, target, external }
+      media: [],                    // { name, data (base64) }
+      nextImageId: 1
+    };
+  }
+
+  /**
+   * Map a PDF font name to a Word font name: standard PDF fonts become
+   * their Word equivalents, 'NotoSansSC' becomes 'Noto Sans SC'
+   */
+  getWordFont(name) {
+    return WORD_FONTS[name] || name.replace(/([a-z])([A-Z])/g, '$1 $2');
+  }
+
+  /**
+   * Page size in twips for the export format
+   */
+  getPageSize(ctx) {
+    return WORD_PAGE_SIZES[ctx.settings.format] || WORD_PAGE_SIZES.a4;
+  }
+
+  // ============ XML HELPERS ============
+
+  /**
+   * Escape text for XML, dropping characters XML 1.0 does not allow
+   * (control characters and lone surrogates), which Word rejects
+   */
+  escapeXML(text) {
+    return String(text)
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  twips(mm) {
+    return Math.round(mm * TWIPS_PER_MM);
+  }
+
+  /**
+   * Font size in half-points, scaled by the export font size
+   */
+  halfPoints(ctx, size) {
+    return Math.round(size * ctx.fontScale * 2);
+  }
+
+  /**
+   * Hex color for a palette key or RGB array
+   */
+  hexColor(ctx, color) {
+    const rgb = Array.isArray(color) ? color : (ctx.colors[color] || ctx.colors.text);
+    return rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('').toUpperCase();
+  }
+
+  /**
+   * Vertical space in twips, scaled by the export line spacing
+   */
+  space(ctx, mm) {
+    return this.twips(mm * ctx.lineSpacing);
+  }
+
+  /**
+   * Add a relationship from the document part
+   * @returns {string} Relationship id
+   */
+  addRelationship(ctx, type, target, external = false) {
+    const id = `rId${ctx.relationships.length + 10}`;
+    ctx.relationships.push({ id, type, target, external });
+    return id;
+  }
+
+  /**
+   * Build a text run
+   * @param {object} ctx - Document context
+   * @param {string} text - Text; tabs and line breaks are kept
+   * @param {object|null} style - `size` (points), `bold`, `italic`, `color`,
+   *   `role` ('heading' | 'body'), `caps`, `underline`, `shading`. Null
+   *   leaves the formatting to the paragraph style.
+   */
+  run(ctx, text, style = {}) {
+    let props = '';
+    if (style) {
+      const font = ctx.fonts[style.role || 'body'];
+      props = '<w:rPr>' +
+        `<w:rFonts w:ascii="${this.escapeXML(font)}" w:hAnsi="${this.escapeXML(font)}" w:cs="${this.escapeXML(font)}"/>` +
+        (style.bold ? '<w:b/><w:bCs/>' : '') +
+        (style.italic ? '<w:i/><w:iCs/>' : '') +
+        (style.caps ? '<w:caps/>' : '') +
+        `<w:color w:val="${this.hexColor(ctx, style.color || 'text')}"/>` +
+        `<w:sz w:val="${this.halfPoints(ctx, style.size || 10)}"/><w:szCs w:val="${this.halfPoints(ctx, style.size || 10)}"/>` +
+        (style.underline ? '<w:u w:val="single"/>' : '') +
+        (style.shading ? `<w:shd w:val="clear" w:color="auto" w:fill="${this.hexColor(ctx, style.shading)}"/>` : '') +
+        '</w:rPr>';
+    }
+
+    const content = String(text).split(/(\t|\n)/).map(part => {
+      if (part === '\t') return '<w:tab/>';
+      if (part === '\n') return '<w:br/>';
+      return part ? `<w:t xml:space="preserve">${this.escapeXML(part)}</w:t>` : '';
+    }).join('');
+
+    return `<w:r>${props}${content}</w:r>`;
+  }
+
+  /**
+   * Build a hyperlink around text
+   */
+  link(ctx, url, text, style = {}) {
+    if (!url) return this.run(ctx, text, style);
+    const id = this.addRelationship(ctx, `${DOCX_RELATIONSHIP}/hyperlink`, url, true);
+    return `<w:hyperlink r:id="${id}">${this.run(ctx, text, style)}</w:hyperlink>`;
+  }
+
+  /**
+   * Build runs for text with inline markup (**bold**, *italic*, [links](url))
+   */
+  richRuns(ctx, text, style = {}) {
+    return this.richText.parse(text || '').map(part => {
+      const runStyle = { ...style, bold: style.bold || part.bold, italic: style.italic || part.italic };
+      return part.url
+        ? this.link(ctx, part.url, part.text, { ...runStyle, underline: true })
+        : this.run(ctx, part.text, runStyle);
+    }).join('');
+  }
+
+  /**
+   * Add a paragraph to the document body
+   * @param {object} ctx - Document context
+   * @param {string} content - Run XML
+   * @param {object} options - `style` (paragraph style id), `keepNext`,
+   *   `bullet`, `border` (bottom rule color), `barColor` (left bar color),
+   *   `tabs` ([{ type, position }] in mm), `before` / `after` (mm),
+   *   `indent` ({ left, hanging } in mm), `align` ('left' | 'center' | 'right'),
+   *   `fill` (background color)
+   */
+  paragraph(ctx, content, options = {}) {
+    const props = [];
+    if (options.style) props.push(`<w:pStyle w:val="${options.style}"/>`);
+    if (options.keepNext) props.push('<w:keepNext/>');
+    if (options.bullet) props.push('<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>');
+    if (options.border || options.barColor) {
+      props.push('<w:pBdr>' +
+        (options.barColor ? `<w:left w:val="single" w:sz="24" w:space="8" w:color="${this.hexColor(ctx, options.barColor)}"/>` : '') +
+        (options.border ? `<w:bottom w:val="single" w:sz="6" w:space="1" w:color="${this.hexColor(ctx, options.border)}"/>` : '') +
+        '</w:pBdr>');
+    }
+    if (options.fill) props.push(`<w:shd w:val="clear" w:color="auto" w:fill="${this.hexColor(ctx, options.fill)}"/>`);
+    if (options.tabs) {
+      props.push(`<w:tabs>${options.tabs.map(tab => `<w:tab w:val="${tab.type}" w:pos="${this.twips(tab.position)}"/>`).join('')}</w:tabs>`);
+    }
+    if (ctx.rtl) props.push('<w:bidi/>');
+    if (options.before !== undefined || options.after !== undefined) {
+      props.push(`<w:spacing w:before="${this.space(ctx, options.before || 0)}" w:after="${this.space(ctx, options.after || 0)}"/>`);
+    }
+    if (options.indent) {
+      props.push(`<w:ind w:left="${this.twips(options.indent.left || 0)}" w:hanging="${this.twips(options.indent.hanging || 0)}"/>`);
+    }
+    if (options.align) props.push(`<w:jc w:val="${options.align === 'center' ? 'center' : options.align}"/>`);
+
+    ctx.body.push(`<w:p>${props.length ? `<w:pPr>${props.join('')}</w:pPr>` : ''}${content}</w:p>`);
+  }
+
+  /**
+   * Build an inline picture run for a data URL image
+   * @param {object} ctx - Document context
+   * @param {string} dataURL - PNG or JPEG data URL
+   * @param {number} width - Width in mm
+   * @param {number} height - Height in mm
+   * @param {string} shape - 'square' | 'circle'
+   */
+  image(ctx, dataURL, width, height, shape = 'square') {
+    const match = /^data:image\/(png|jpe?g);base64,(.*)$/.exec(dataURL || '');
+    if (!match) return '';
+
+    const id = ctx.nextImageId++;
+    const name = `image${id}.${match[1] === 'png' ? 'png' : 'jpeg'}`;
+    ctx.media.push({ name, data: match[2] });
+    const relId = this.addRelationship(ctx, `${DOCX_RELATIONSHIP}/image`, `media/${name}`);
+    const cx = Math.round(width * EMU_PER_MM);
+    const cy = Math.round(height * EMU_PER_MM);
+
+    return '<w:r><w:drawing>' +
+      `<wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/>` +
+      `<wp:docPr id="${id}" name="Picture ${id}"/>` +
+      '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>' +
+      `<pic:nvPicPr><pic:cNvPr id="${id}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+      `<pic:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+      `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+      `<a:prstGeom prst="${shape === 'circle' ? 'ellipse' : 'rect'}"><a:avLst/></a:prstGeom></pic:spPr>` +
+      '</pic:pic></a:graphicData></a:graphic></wp:inline>' +
+      '</w:drawing></w:r>';
+  }
+
+  /**
+   * Get the pixel size of an image
+   * @param {string} src - Image URL or data URL
+   * @returns {Promise<object>} { width, height }
+   */
+  getImageSize(src) {
+    return new Promise((resolve) => {
+      const image = new Image();
+      image.onload = () => resolve({ width: image.width, height: image.height });
+      image.onerror = () => resolve({ width: 1, height: 1 });
+      image.src = src;
+    });
+  }
+
+  // ============ RESUME ============
+
+  /**
+   * Generate a resume. Two-column templates are written as one column:
+   * main sections first, then the sidebar's, with contact details in the
+   * header.
+   * @param {object} resumeData - Resume data object
+   * @param {object} template - Template object or its `pdf` config
+   * @param {object} settings - Export settings
+   * @returns {Promise<Blob>} DOCX file
+   */
+  async generateResume(resumeData, template = {}, settings = {}) {
+    const ctx = this.createContext(this.pdf.resolveTemplateConfig(template), settings, this.pdf.getResumeDirection(resumeData));
+    const { layout } = ctx;
+    const personalInfo = resumeData.personalInfo || {};
+
+    this.addResumeHeader(ctx, personalInfo);
+
+    this.pdf.getSingleColumnSections(layout).forEach(sectionId => this.addResumeSection(ctx, sectionId, resumeData));
+
+    return this.buildPackage(ctx, this.pdf.getResumeProperties(resumeData), {
+      nameSize: layout.header.nameSize,
+      nameBold: layout.header.nameStyle === 'bold',
+      nameAlign: layout.header.align,
+      nameColor: layout.header.band ? [255, 255, 255] : 'primary'
+    });
+  }
+
+  /**
+   * Add the photo, name, title and contact line
+   */
+  addResumeHeader(ctx, personalInfo) {
+    const header = ctx.layout.header;
+    const align = header.align === 'center' ? 'center' : null;
+    const fill = header.band ? 'primary' : null;
+    const mutedColor = header.band ? 'accentBg' : 'lightGray';
+
+    const photo = personalInfo.photo;
+    if (photo && photo.image && ctx.settings.includePhoto && header.photo !== 'none') {
+      // Word has no slot beside the header text; a photo at the end is aligned there instead
+      this.paragraph(ctx, this.image(ctx, photo.image, header.photoSize, header.photoSize, photo.shape || 'circle'), {
+        align: header.photo === 'end' ? 'right' : align,
+        fill,
+        after: 3
+      });
+    }
+
+    this.paragraph(ctx, this.run(ctx, personalInfo.fullName || 'Your Name', null), { style: 'Heading1', fill });
+
+    if (header.showTitle && personalInfo.title) {
+      this.paragraph(ctx, this.run(ctx, personalInfo.title, { size: 12, color: header.band ? 'accentBg' : 'secondary', role: 'heading' }), {
+        align,
+        fill,
+        after: 2
+      });
+    }
+
+    const style = { size: 10, color: mutedColor };
+    const contact = header.contactFields
+      .filter(field => personalInfo[field])
+      .map(field => this.link(ctx, this.pdf.getContactLink(field, personalInfo[field]), personalInfo[field], style));
+    if (contact.length > 0) {
+      this.paragraph(ctx, contact.join(this.run(ctx, header.contactSeparator, style)), { align, fill });
+    }
+
+    // Space below the header, outside any band
+    this.paragraph(ctx, '', { after: header.spacingAfter - 4 });
+  }
+
+  /**
+   * Add one resume section, or nothing if it is empty
+   * @param {object} ctx - Document context
+   * @param {string} sectionId - Section id from the layout's `sections` list
+   * @param {object} resumeData - Resume data object
+   */
+  addResumeSection(ctx, sectionId, resumeData) {
+    const value = resumeData[sectionId];
+    const isEmpty = Array.isArray(value) ? value.length === 0 : !value;
+    if (isEmpty) return;
+
+    const title = ctx.layout.titles[sectionId];
+    if (title) this.paragraph(ctx, this.run(ctx, title, null), { style: 'Heading2' });
+
+    switch (sectionId) {
+      case 'summary':
+        this.paragraph(ctx, this.richRuns(ctx, value), { after: 5 });
+        break;
+      case 'experience':
+        value.forEach(exp => this.addExperienceEntry(ctx, exp));
+        break;
+      case 'education':
+        value.forEach(edu => this.addEducationEntry(ctx, edu));
+        break;
+      case 'skills':
+        this.addSkills(ctx, value);
+        break;
+      case 'certifications':
+        value.forEach((cert, index) => this.addCertification(ctx, cert, index === value.length - 1));
+        break;
+      default:
+        console.warn(`Unknown resume section: ${sectionId}`);
+    }
+  }
+
+  /**
+   * Paragraph options that line an entry's text up after the date column
+   * of 'left' date layouts
+   */
+  getEntryIndent(ctx, hanging = 0) {
+    const column = ctx.layout.dates === 'left' ? ctx.layout.dateColumnWidth : 0;
+    return column || hanging ? { indent: { left: column + hanging, hanging } } : {};
+  }
+
+  /**
+   * Add an entry heading with its date placed by the layout: after a right
+   * tab stop, in a left date column, or on its own line below the entry
+   * @param {object} ctx - Document context
+   * @param {string} title - Entry title
+   * @param {string} date - Date text
+   * @param {object} options - Extra paragraph options
+   */
+  addEntryHeading(ctx, title, date, options = {}) {
+    const { layout } = ctx;
+    const dateRun = this.run(ctx, date, { size: layout.dates === 'left' ? 9 : 10, color: 'lightGray' });
+    const titleRun = this.run(ctx, title, null);
+
+    if (date && layout.dates === 'right') {
+      const width = this.getPageSize(ctx).width / TWIPS_PER_MM - ctx.margin * 2;
+      this.paragraph(ctx, `${titleRun}${this.run(ctx, '\t', null)}${dateRun}`, {
+        ...options,
+        style: 'Heading3',
+        keepNext: true,
+        tabs: [{ type: 'right', position: width }]
+      });
+    } else if (layout.dates === 'left') {
+      this.paragraph(ctx, `${date ? dateRun : ''}${this.run(ctx, '\t', null)}${titleRun}`, {
+        ...options,
+        style: 'Heading3',
+        keepNext: true,
+        indent: { left: layout.dateColumnWidth, hanging: layout.dateColumnWidth }
+      });
+    } else {
+      this.paragraph(ctx, titleRun, { ...options, style: 'Heading3', keepNext: true });
+    }
+  }
+
+  /**
+   * Add a work experience entry
+   */
+  addExperienceEntry(ctx, exp) {
+    const bar = ctx.layout.entryBar ? { barColor: 'accentBg' } : {};
+    const date = `${exp.startDate || ''} - ${exp.endDate || 'Present'}`;
+    this.addEntryHeading(ctx, exp.title || 'Job Title', date, bar);
+
+    const companyLine = [exp.company, exp.location].filter(Boolean).join(' | ');
+    this.paragraph(ctx, this.run(ctx, companyLine, { size: 10, italic: true, color: 'lightGray' }), {
+      ...bar,
+      ...this.getEntryIndent(ctx),
+      keepNext: true,
+      after: ctx.layout.dates === 'below' ? 0 : 1.5
+    });
+    if (ctx.layout.dates === 'below') {
+      this.paragraph(ctx, this.run(ctx, date, { size: 9, color: 'lightGray' }), { ...bar, keepNext: true, after: 1.5 });
+    }
+
+    if (exp.achievements && exp.achievements.length > 0) {
+      exp.achievements.forEach((achievement, index) => {
+        this.paragraph(ctx, this.richRuns(ctx, achievement), {
+          ...bar,
+          ...this.getEntryIndent(ctx, 5),
+          bullet: true,
+          after: index === exp.achievements.length - 1 ? 4 : 0.5
+        });
+      });
+    } else {
+      this.paragraph(ctx, this.richRuns(ctx, exp.description || ''), { ...bar, ...this.getEntryIndent(ctx), after: 4 });
+    }
+  }
+
+  /**
+   * Add an education entry
+   */
+  addEducationEntry(ctx, edu) {
+    const below = ctx.layout.dates === 'below';
+    this.addEntryHeading(ctx, edu.degree || 'Degree', edu.year || '');
+    this.paragraph(ctx, this.run(ctx, edu.institution || 'Institution', { size: 10, italic: true, color: 'lightGray' }), {
+      ...this.getEntryIndent(ctx),
+      keepNext: below && !!edu.year,
+      after: below && edu.year ? 0 : 3.5
+    });
+    if (below && edu.year) {
+      this.paragraph(ctx, this.run(ctx, edu.year, { size: 9, color: 'lightGray' }), { after: 3.5 });
+    }
+  }
+
+  /**
+   * Add the skills list, inline or as shaded "pills"
+   */
+  addSkills(ctx, skills) {
+    const style = ctx.layout.skills;
+    if (style.style === 'pills') {
+      const pill = { size: 9, color: 'primary', shading: 'accentBg' };
+      this.paragraph(ctx, skills.map(skill => this.run(ctx, ` ${skill} `, pill)).join(this.run(ctx, '  ', {})), {
+        after: 5
+      });
+      return;
+    }
+    this.paragraph(ctx, this.run(ctx, skills.join(style.separator), { size: 10 }), { after: 5 });
+  }
+
+  /**
+   * Add a certification as a bullet
+   */
+  addCertification(ctx, cert, last = false) {
+    const style = { size: 10 };
+    const url = cert.url && this.pdf.normalizeURL(cert.url);
+    const name = url ? this.link(ctx, url, cert.name, { ...style, underline: true }) : this.run(ctx, cert.name, style);
+    const details = `${cert.issuer ? ` - ${cert.issuer}` : ''}${cert.year ? ` (${cert.year})` : ''}`;
+    this.paragraph(ctx, `${name}${details ? this.run(ctx, details, style) : ''}`, {
+      ...this.getEntryIndent(ctx, 5),
+      bullet: true,
+      after: last ? 4 : 0.5
+    });
+  }
+
+  // ============ COVER LETTER ============
+
+  /**
+   * Generate a cover letter
+   * @param {string|object} letter - Letter body, or the same letter parts
+   *   PDFGenerator.generateCoverLetter takes
+   * @param {object} personalInfo - Sender's info
+   * @param {object} template - Template configuration
+   * @param {object} settings - Export settings
+   * @returns {Promise<Blob>} DOCX file
+   */
+  async generateCoverLetter(letter, personalInfo = {}, template = {}, settings = {}) {
+    const { content = '', date, recipient = {}, greeting, closing } = typeof letter === 'string' ? { content: letter } : letter;
+    const direction = this.pdf.resolveDirection(personalInfo.direction, `${personalInfo.fullName || ''} ${content}`);
+    const ctx = this.createContext(this.pdf.resolveTemplateConfig(template), settings, direction);
+    const body = { size: 11 };
+    const muted = { size: 10, color: 'lightGray' };
+
+    // Header
+    this.paragraph(ctx, this.run(ctx, personalInfo.fullName || 'Your Name', null), { style: 'Heading1' });
+    ['email', 'phone', 'location'].filter(field => personalInfo[field]).forEach(field => {
+      this.paragraph(ctx, this.link(ctx, this.pdf.getContactLink(field, personalInfo[field]), personalInfo[field], muted));
+    });
+
+    this.paragraph(ctx, this.run(ctx, this.pdf.getLetterDate(date), muted), { before: 5, after: 6 });
+
+    // Recipient
+    const recipientLines = [recipient.name, recipient.title, recipient.company, ...(recipient.address || '').split('\n')]
+      .map(line => (line || '').trim())
+      .filter(Boolean);
+    if (recipientLines.length > 0) {
+      this.paragraph(ctx, this.run(ctx, recipientLines.join('\n'), body), { after: 5 });
+    }
+
+    // Body
+    this.paragraph(ctx, this.run(ctx, greeting || 'Dear Hiring Manager,', body), { after: 4 });
+    content.split(/\n\s*\n/).filter(p => p.trim()).forEach(paragraph => {
+      this.paragraph(ctx, this.run(ctx, paragraph.trim(), body), { after: 4 });
+    });
+
+    // Closing, signature and name stay together
+    this.paragraph(ctx, this.run(ctx, closing || 'Sincerely,', body), { keepNext: true, after: 1 });
+    const signature = personalInfo.signature;
+    if (signature && signature.image) {
+      const size = await this.getImageSize(signature.image);
+      const width = parseFloat(signature.width) || 45;
+      this.paragraph(ctx, this.image(ctx, signature.image, width, width * (size.height / size.width)), {
+        keepNext: true,
+        indent: { left: parseFloat(signature.offset) || 0 }
+      });
+    } else {
+      this.paragraph(ctx, '', { keepNext: true, after: 6 });
+    }
+    this.paragraph(ctx, this.run(ctx, personalInfo.fullName || 'Your Name', { ...body, bold: true }));
+
+    return this.buildPackage(ctx, {
+      title: `${personalInfo.fullName || 'Cover'} - Cover Letter`,
+      subject: recipient.company ? `Cover Letter for ${recipient.company}` : 'Cover Letter',
+      author: personalInfo.fullName || '',
+      creator: 'Resume Builder Pro'
+    }, { nameSize: 18, nameBold: true, nameAlign: 'left', nameColor: 'primary' });
+  }
+
+  // ============ PACKAGE ============
+
+  /**
+   * Paragraph and character styles. Headings use Word's built-in style
+   * ids so they show in the navigation pane and are read by ATS parsers.
+   * @param {object} ctx - Document context
+   * @param {object} name - `nameSize`, `nameBold`, `nameAlign`, `nameColor`
+   */
+  buildStyles(ctx, name) {
+    const title = ctx.layout.sectionTitle;
+    const fonts = (role) => `<w:rFonts w:ascii="${this.escapeXML(ctx.fonts[role])}" w:hAnsi="${this.escapeXML(ctx.fonts[role])}" w:cs="${this.escapeXML(ctx.fonts[role])}"/>`;
+    const size = (points) => `<w:sz w:val="${this.halfPoints(ctx, points)}"/><w:szCs w:val="${this.halfPoints(ctx, points)}"/>`;
+    const charSpace = title.charSpace ? `<w:spacing w:val="${Math.round(title.charSpace * 72 / 25.4 * 20)}"/>` : '';
+    const line = Math.round(240 * 1.15 * ctx.lineSpacing);
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${DOCX_NAMESPACES}>
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr>${fonts('body')}<w:color w:val="${this.hexColor(ctx, 'text')}"/>${size(10)}<w:lang w:val="${this.escapeXML(ctx.settings.language)}"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="${line}" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:spacing w:after="${this.space(ctx, 2)}"/>${name.nameAlign === 'center' ? '<w:jc w:val="center"/>' : ''}<w:outlineLvl w:val="0"/></w:pPr>
+    <w:rPr>${fonts('heading')}${name.nameBold ? '<w:b/><w:bCs/>' : ''}<w:color w:val="${this.hexColor(ctx, name.nameColor)}"/>${size(name.nameSize)}</w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/>${title.rule ? `<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="${this.hexColor(ctx, title.ruleColor)}"/></w:pBdr>` : ''}<w:spacing w:before="${this.space(ctx, 3)}" w:after="${this.space(ctx, title.rule ? 3 : 2)}"/><w:outlineLvl w:val="1"/></w:pPr>
+    <w:rPr>${fonts('heading')}<w:b/><w:bCs/>${title.uppercase ? '<w:caps/>' : ''}<w:color w:val="${this.hexColor(ctx, title.color)}"/>${charSpace}${size(title.size)}</w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:spacing w:before="0" w:after="${this.space(ctx, 0.5)}"/><w:outlineLvl w:val="2"/></w:pPr>
+    <w:rPr>${fonts('body')}<w:b/><w:bCs/><w:color w:val="${this.hexColor(ctx, 'text')}"/>${size(11)}</w:rPr>
+  </w:style>
+</w:styles>`;
+  }
+
+  /**
+   * Bullet list definition used by paragraphs with `bullet: true`
+   */
+  buildNumbering(ctx) {
+    const indent = this.twips(5);
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering ${DOCX_NAMESPACES}>
+  <w:abstractNum w:abstractNumId="0">
+    <w:multiLevelType w:val="singleLevel"/>
+    <w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/>
+      <w:pPr><w:ind w:left="${indent}" w:hanging="${indent}"/></w:pPr>
+      <w:rPr><w:color w:val="${this.hexColor(ctx, 'text')}"/></w:rPr>
+    </w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+  }
+
+  /**
+   * The main document part, with the page size and margins
+   */
+  buildDocument(ctx) {
+    const page = this.getPageSize(ctx);
+    const margin = this.twips(ctx.margin);
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${DOCX_NAMESPACES}>
+  <w:body>
+    ${ctx.body.join('\n    ')}
+    <w:sectPr>
+      <w:pgSz w:w="${page.width}" w:h="${page.height}"/>
+      <w:pgMar w:top="${margin}" w:right="${margin}" w:bottom="${margin}" w:left="${margin}" w:header="${Math.round(margin / 2)}" w:footer="${Math.round(margin / 2)}" w:gutter="0"/>
+      ${ctx.rtl ? '<w:bidi/>' : ''}
+    </w:sectPr>
+  </w:body>
+</w:document>`;
+  }
+
+  /**
+   * Document properties (title, author, ...)
+   * @param {object} properties - { title, subject, author, keywords, creator }
+   */
+  buildCoreProperties(properties) {
+    const now = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${this.escapeXML(properties.title || '')}</dc:title>
+  <dc:subject>${this.escapeXML(properties.subject || '')}</dc:subject>
+  <dc:creator>${this.escapeXML(properties.author || '')}</dc:creator>
+  <cp:keywords>${this.escapeXML(properties.keywords || '')}</cp:keywords>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${now}</dcterms:created>
+  <dcterms:modified xsi:type="dcterms:W3CDTF">${now}</dcterms:modified>
+</cp:coreProperties>`;
+  }
+
+  /**
+   * Zip the document parts into a .docx file
+   * @param {object} ctx - Document context
+   * @param {object} properties - Document properties
+   * @param {object} name - Heading 1 settings (see buildStyles)
+   * @returns {Promise<Blob>} DOCX file
+   */
+  buildPackage(ctx, properties, name) {
+    if (!this.isReady()) {
+      throw new Error('JSZip library not loaded');
+    }
+
+    const relationships = [
+      { id: 'rId1', type: `${DOCX_RELATIONSHIP}/styles`, target: 'styles.xml' },
+      { id: 'rId2', type: `${DOCX_RELATIONSHIP}/numbering`, target: 'numbering.xml' },
+      ...ctx.relationships
+    ];
+
+    const zip = new window.JSZip();
+    zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Default Extension="png" ContentType="image/png"/>
+  <Default Extension="jpeg" ContentType="image/jpeg"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`);
+    zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${DOCX_RELATIONSHIP}/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`);
+    zip.file('docProps/core.xml', this.buildCoreProperties(properties));
+    zip.file('word/document.xml', this.buildDocument(ctx));
+    zip.file('word/styles.xml', this.buildStyles(ctx, name));
+    zip.file('word/numbering.xml', this.buildNumbering(ctx));
+    zip.file('word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  ${relationships.map(rel => `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${this.escapeXML(rel.target)}"${rel.external ? ' TargetMode="External"' : ''}/>`).join('\n  ')}
+</Relationships>`);
+    ctx.media.forEach(file => zip.file(`word/media/${file.name}`, file.data, { base64: true }));
+
+    return zip.generateAsync({
+      type: 'blob',
+      mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    });
+  }
+
+  /**
+   * Download a generated document
+   * @param {Blob} blob - DOCX file
+   * @param {string} filename - Output filename
+   */
+  save(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// Export for browser usage
+if (typeof window !== 'undefined') {
+  window.DOCXGenerator = DOCXGenerator;
+}
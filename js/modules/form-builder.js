@@ -201,6 +201,7 @@ class FormBuilder {
     input.name = field.name;
     input.className = `${this.cssPrefix}input`;
     input.placeholder = field.placeholder || '';
+    input.dir = field.dir || 'auto';
     input.value = this.getValueByPath(this.data, field.name) || field.default || '';
 
     if (field.required) input.required = true;
@@ -225,6 +226,7 @@ class FormBuilder {
     textarea.className = `${this.cssPrefix}textarea`;
     textarea.placeholder = field.placeholder || '';
     textarea.rows = field.rows || 4;
+    textarea.dir = field.dir || 'auto';
     textarea.value = this.getValueByPath(this.data, field.name) || field.default || '';
 
     if (field.required) textarea.required = true;
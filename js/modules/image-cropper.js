@@ -0,0 +1,181 @@
+/**
+ * Image Cropper Module
+ * Square crop of an image on a canvas: drag to move, zoom with a slider
+ * or the mouse wheel, then export the crop at a fixed size
+ * Reusable across applications
+ */
+
+class ImageCropper {
+  /**
+   * @param {HTMLCanvasElement} canvas - Square canvas used as the crop viewport
+   * @param {object} options - `outputSize` (pixels), `shape` ('square' | 'circle',
+   *   only changes the guide drawn over the image) and `maxZoom`
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.outputSize = options.outputSize || 400;
+    this.shape = options.shape || 'square';
+    this.maxZoom = options.maxZoom || 4;
+
+    this.image = null;
+    this.zoom = 1;                  // 1 = the image just covers the viewport
+    this.center = { x: 0, y: 0 };   // Image point at the middle of the viewport
+    this.dragStart = null;
+
+    this.bindEvents();
+  }
+
+  /**
+   * Listen for dragging and wheel zoom
+   */
+  bindEvents() {
+    const { canvas } = this;
+    canvas.style.touchAction = 'none';
+
+    canvas.addEventListener('pointerdown', (e) => {
+      if (!this.image) return;
+      canvas.setPointerCapture(e.pointerId);
+      this.dragStart = { x: e.clientX, y: e.clientY, center: { ...this.center } };
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (!this.dragStart) return;
+      // Convert screen pixels to image pixels
+      const rect = canvas.getBoundingClientRect();
+      const ratio = (canvas.width / rect.width) / this.getScale();
+      this.center = {
+        x: this.dragStart.center.x - (e.clientX - this.dragStart.x) * ratio,
+        y: this.dragStart.center.y - (e.clientY - this.dragStart.y) * ratio
+      };
+      this.draw();
+    });
+
+    const endDrag = () => { this.dragStart = null; };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    canvas.addEventListener('wheel', (e) => {
+      if (!this.image) return;
+      e.preventDefault();
+      this.setZoom(this.zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+    }, { passive: false });
+  }
+
+  /**
+   * Load an image and center it
+   * @param {string} src - Image URL or data URL
+   * @returns {Promise<object>} { success, error }
+   */
+  load(src) {
+    return new Promise((resolve) => {
+      const image = new Image();
+      image.onload = () => {
+        this.image = image;
+        this.zoom = 1;
+        this.center = { x: image.width / 2, y: image.height / 2 };
+        this.draw();
+        resolve({ success: true });
+      };
+      image.onerror = () => resolve({ success: false, error: 'Could not read the image' });
+      image.src = src;
+    });
+  }
+
+  /**
+   * Set the zoom level, 1 being the smallest that still fills the crop
+   * @param {number} zoom - Zoom level
+   */
+  setZoom(zoom) {
+    this.zoom = Math.min(Math.max(zoom, 1), this.maxZoom);
+    this.draw();
+  }
+
+  /**
+   * Change the guide drawn over the crop
+   * @param {string} shape - 'square' | 'circle'
+   */
+  setShape(shape) {
+    this.shape = shape;
+    this.draw();
+  }
+
+  /**
+   * Viewport pixels per image pixel
+   */
+  getScale() {
+    const { width, height } = this.image;
+    return Math.max(this.canvas.width / width, this.canvas.height / height) * this.zoom;
+  }
+
+  /**
+   * Keep the image covering the whole viewport
+   */
+  clampCenter() {
+    const scale = this.getScale();
+    const halfWidth = this.canvas.width / scale / 2;
+    const halfHeight = this.canvas.height / scale / 2;
+    this.center.x = Math.min(Math.max(this.center.x, halfWidth), this.image.width - halfWidth);
+    this.center.y = Math.min(Math.max(this.center.y, halfHeight), this.image.height - halfHeight);
+  }
+
+  /**
+   * Get the cropped area in image pixels
+   * @returns {object} { x, y, size }
+   */
+  getCrop() {
+    this.clampCenter();
+    const size = this.canvas.width / this.getScale();
+    return { x: this.center.x - size / 2, y: this.center.y - size / 2, size };
+  }
+
+  /**
+   * Redraw the image and the crop guide
+   */
+  draw() {
+    const ctx = this.context;
+    const { width, height } = this.canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (!this.image) return;
+
+    const crop = this.getCrop();
+    ctx.drawImage(this.image, crop.x, crop.y, crop.size, crop.size, 0, 0, width, height);
+
+    if (this.shape === 'circle') {
+      // Dim the corners that a circular photo leaves out
+      ctx.save();
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+      ctx.beginPath();
+      ctx.rect(0, 0, width, height);
+      ctx.arc(width / 2, height / 2, Math.min(width, height) / 2, 0, Math.PI * 2, true);
+      ctx.fill();
+      ctx.restore();
+    }
+  }
+
+  /**
+   * Export the crop as a square image
+   * @param {string} type - Image MIME type
+   * @param {number} quality - Quality for lossy types
+   * @returns {string|null} Data URL, or null before an image is loaded
+   */
+  toDataURL(type = 'image/jpeg', quality = 0.9) {
+    if (!this.image) return null;
+
+    const crop = this.getCrop();
+    const output = document.createElement('canvas');
+    output.width = this.outputSize;
+    output.height = this.outputSize;
+    const ctx = output.getContext('2d');
+    // JPEG has no transparency; flatten onto white
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, output.width, output.height);
+    ctx.drawImage(this.image, crop.x, crop.y, crop.size, crop.size, 0, 0, output.width, output.height);
+    return output.toDataURL(type, quality);
+  }
+}
+
+// Export for browser usage
+if (typeof window !== 'undefined') {
+  window.ImageCropper = ImageCropper;
+}
@@ -0,0 +1,357 @@
+/**
+ * JSON Resume Module
+ * Converts between this app's resume data and the open JSON Resume schema
+ * (https://jsonresume.org/schema). Every conversion also returns the fields
+ * that had no place in the other format, so nothing is dropped silently.
+ * JSON Resume projects are kept as a `projects` section (shown in text
+ * exports, not in templates) and languages are listed as skills.
+ * Reusable across applications
+ */
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+// Top-level JSON Resume sections with no equivalent in resume data
+const JSON_RESUME_UNMAPPED_SECTIONS = ['volunteer', 'awards', 'publications', 'interests', 'references'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+class JSONResume {
+  constructor(options = {}) {
+    this.richText = options.richText || new RichText();
+  }
+
+  /**
+   * Convert resume data to a JSON Resume document
+   * @param {object} resumeData - Resume data object
+   * @returns {object} { resume, unmapped: [{ path, reason }] }
+   */
+  toJSONResume(resumeData) {
+    const personalInfo = resumeData.personalInfo || {};
+    const unmapped = [];
+
+    const basics = this.compact({
+      name: personalInfo.fullName,
+      label: personalInfo.title,
+      image: personalInfo.photo && personalInfo.photo.image,
+      email: personalInfo.email,
+      phone: personalInfo.phone,
+      url: personalInfo.website ? this.toURL(personalInfo.website, 'personalInfo.website', unmapped) : undefined,
+      summary: resumeData.summary,
+      location: this.toLocation(personalInfo.location),
+      profiles: personalInfo.linkedin ? [{
+        network: 'LinkedIn',
+        username: this.getProfileUsername(personalInfo.linkedin),
+        url: this.toURL(personalInfo.linkedin, 'personalInfo.linkedin', unmapped)
+      }] : undefined
+    });
+
+    if (personalInfo.signature && personalInfo.signature.image) {
+      unmapped.push({ path: 'personalInfo.signature', reason: 'JSON Resume has no signature field' });
+    }
+    if (personalInfo.direction && personalInfo.direction !== 'auto') {
+      unmapped.push({ path: 'personalInfo.direction', reason: 'JSON Resume has no text direction field' });
+    }
+
+    const work = (resumeData.experience || []).map((exp, index) => this.compact({
+      name: exp.company,
+      position: exp.title,
+      location: exp.location,
+      startDate: this.toISODate(exp.startDate, `experience[${index}].startDate`, unmapped),
+      endDate: this.toISODate(exp.endDate, `experience[${index}].endDate`, unmapped),
+      summary: exp.description,
+      highlights: exp.achievements && exp.achievements.length > 0 ? exp.achievements : undefined
+    }));
+
+    const education = (resumeData.education || []).map((edu, index) => this.compact({
+      institution: edu.institution,
+      studyType: edu.degree,
+      endDate: this.toISODate(edu.year, `education[${index}].year`, unmapped)
+    }));
+
+    const certificates = (resumeData.certifications || []).map((cert, index) => this.compact({
+      name: cert.name,
+      issuer: cert.issuer,
+      date: this.toISODate(cert.year, `certifications[${index}].year`, unmapped),
+      url: cert.url ? this.toURL(cert.url, `certifications[${index}].url`, unmapped) : undefined
+    }));
+
+    const projects = (resumeData.projects || []).map((project, index) => this.compact({
+      name: project.name,
+      description: project.description,
+      url: project.url ? this.toURL(project.url, `projects[${index}].url`, unmapped) : undefined,
+      startDate: this.toISODate(project.startDate, `projects[${index}].startDate`, unmapped),
+      endDate: this.toISODate(project.endDate, `projects[${index}].endDate`, unmapped),
+      highlights: project.achievements && project.achievements.length > 0 ? project.achievements : undefined
+    }));
+
+    // Anything else in the resume data is a section JSON Resume does not know
+    const known = ['personalInfo', 'summary', 'experience', 'education', 'skills', 'certifications', 'projects', 'exportSettings'];
+    Object.keys(resumeData)
+      .filter(key => !known.includes(key) && this.hasValue(resumeData[key]))
+      .forEach(key => unmapped.push({ path: key, reason: 'No matching JSON Resume section' }));
+
+    const resume = this.compact({
+      $schema: JSON_RESUME_SCHEMA,
+      basics,
+      work,
+      education,
+      skills: (resumeData.skills || []).map(name => ({ name })),
+      certificates,
+      projects,
+      meta: { lastModified: new Date().toISOString() }
+    });
+
+    return { resume, unmapped };
+  }
+
+  /**
+   * Convert a JSON Resume document to resume data. Only the resume content
+   * is returned; app settings (export settings, signature) are left to the
+   * caller.
+   * @param {object} resume - JSON Resume document
+   * @returns {object} { success, data, unmapped: [{ path, reason }], error }
+   */
+  fromJSONResume(resume) {
+    if (!resume || typeof resume !== 'object' || Array.isArray(resume)) {
+      return { success: false, error: 'Not a JSON Resume document' };
+    }
+    if (!resume.basics && !resume.work && !resume.education) {
+      return { success: false, error: 'No basics, work or education found. Is this a JSON Resume file?' };
+    }
+
+    const unmapped = [];
+    const basics = resume.basics || {};
+    const profiles = Array.isArray(basics.profiles) ? basics.profiles : [];
+    const linkedin = profiles.find(profile => /linkedin/i.test(`${profile.network} ${profile.url}`));
+    const otherProfiles = profiles.filter(profile => profile !== linkedin);
+
+    // The website field takes basics.url, or else the first other profile
+    let website = this.fromURL(basics.url, 'basics.url', unmapped);
+    otherProfiles.forEach(profile => {
+      const index = profiles.indexOf(profile);
+      if (!website && profile.url) {
+        website = this.fromURL(profile.url, `basics.profiles[${index}].url`, unmapped);
+      } else {
+        unmapped.push({ path: `basics.profiles[${index}]`, reason: `${profile.network || 'Profile'} has no field of its own` });
+      }
+    });
+
+    let photo = null;
+    if (basics.image) {
+      if (/^data:image\/(png|jpe?g);base64,/.test(basics.image)) {
+        photo = { image: basics.image, shape: 'circle' };
+      } else {
+        unmapped.push({ path: 'basics.image', reason: 'Only embedded (data URL) PNG or JPEG photos can be imported; upload the photo instead' });
+      }
+    }
+
+    const location = basics.location || {};
+    ['address', 'postalCode'].forEach(field => {
+      if (location[field]) unmapped.push({ path: `basics.location.${field}`, reason: 'Only city, region and country are kept' });
+    });
+
+    const personalInfo = {
+      fullName: basics.name || '',
+      title: basics.label || '',
+      email: basics.email || '',
+      phone: basics.phone || '',
+      location: [location.city, location.region, location.countryCode].filter(Boolean).join(', '),
+      linkedin: linkedin ? (this.fromURL(linkedin.url, `basics.profiles[${profiles.indexOf(linkedin)}].url`, unmapped) || linkedin.username || '') : '',
+      website,
+      photo
+    };
+
+    const experience = this.asArray(resume.work).map((job, index) => {
+      this.reportExtraFields(job, ['name', 'position', 'location', 'startDate', 'endDate', 'summary', 'highlights', 'description'], `work[${index}]`, unmapped);
+      return {
+        title: job.position || '',
+        company: job.name || '',
+        location: job.location || '',
+        startDate: this.fromISODate(job.startDate),
+        endDate: job.endDate ? this.fromISODate(job.endDate) : 'Present',
+        achievements: this.asArray(job.highlights).map(String),
+        description: job.summary || job.description || ''
+      };
+    });
+
+    const education = this.asArray(resume.education).map((edu, index) => {
+      this.reportExtraFields(edu, ['institution', 'studyType', 'area', 'startDate', 'endDate'], `education[${index}]`, unmapped);
+      return {
+        degree: [edu.studyType, edu.area].filter(Boolean).join(', '),
+        institution: edu.institution || '',
+        year: this.getYear(edu.endDate || edu.startDate)
+      };
+    });
+
+    // Skill keywords are listed as skills of their own
+    const skills = [];
+    this.asArray(resume.skills).forEach((skill, index) => {
+      if (skill.name) skills.push(skill.name);
+      this.asArray(skill.keywords).forEach(keyword => skills.push(String(keyword)));
+      if (skill.level) unmapped.push({ path: `skills[${index}].level`, reason: 'Skill levels are not shown' });
+    });
+
+    // Languages are listed as skills: 'French (Fluent)'
+    this.asArray(resume.languages).forEach(language => {
+      if (!language.language) return;
+      skills.push(language.fluency ? `${language.language} (${language.fluency})` : language.language);
+    });
+
+    const certifications = this.asArray(resume.certificates).map((cert, index) => {
+      this.reportExtraFields(cert, ['name', 'issuer', 'date', 'url'], `certificates[${index}]`, unmapped);
+      return {
+        name: cert.name || '',
+        issuer: cert.issuer || '',
+        year: this.getYear(cert.date),
+        url: this.fromURL(cert.url, `certificates[${index}].url`, unmapped)
+      };
+    });
+
+    const projects = this.asArray(resume.projects).map((project, index) => {
+      this.reportExtraFields(project, ['name', 'description', 'url', 'startDate', 'endDate', 'highlights'], `projects[${index}]`, unmapped);
+      return {
+        name: project.name || '',
+        description: project.description || '',
+        url: this.fromURL(project.url, `projects[${index}].url`, unmapped),
+        startDate: this.fromISODate(project.startDate),
+        endDate: this.fromISODate(project.endDate),
+        achievements: this.asArray(project.highlights).map(String)
+      };
+    });
+    if (projects.length > 0) {
+      unmapped.push({ path: 'projects', reason: 'Kept and included in text and JSON Resume exports, but not shown by the templates' });
+    }
+
+    JSON_RESUME_UNMAPPED_SECTIONS.forEach(section => {
+      const count = this.asArray(resume[section]).length;
+      if (count > 0) unmapped.push({ path: section, reason: `${count} ${count === 1 ? 'entry' : 'entries'}; no matching section` });
+    });
+
+    return {
+      success: true,
+      data: {
+        personalInfo,
+        summary: basics.summary || '',
+        experience,
+        education,
+        skills: [...new Set(skills)],
+        certifications,
+        projects
+      },
+      unmapped
+    };
+  }
+
+  // ============ HELPERS ============
+
+  /**
+   * Convert a typed date ('2020', 'Mar 2020', '03/2020', '2020-03') to an
+   * ISO 8601 date. Dates that cannot be read are kept as typed and reported.
+   * @param {string} value - Date as typed
+   * @param {string} path - Field path for the report
+   * @param {array} unmapped - Report to add to
+   * @returns {string|undefined}
+   */
+  toISODate(value, path, unmapped) {
+    const text = (value || '').trim();
+    if (!text || /^(present|current|now)$/i.test(text)) return undefined;
+
+    if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(text)) return text;
+    let match = /^(\d{1,2})[/.-](\d{4})$/.exec(text);
+    if (match) return `${match[2]}-${match[1].padStart(2, '0')}`;
+    match = /^([a-z]+)\.?\s+(\d{4})$/i.exec(text);
+    if (match) {
+      const month = MONTHS.indexOf(match[1].slice(0, 3).toLowerCase());
+      if (month >= 0) return `${match[2]}-${String(month + 1).padStart(2, '0')}`;
+    }
+
+    unmapped.push({ path, reason: `"${text}" is not a date JSON Resume accepts; kept as typed` });
+    return text;
+  }
+
+  /**
+   * Format an ISO date for display: '2020-03' -> 'Mar 2020'
+   */
+  fromISODate(value) {
+    const match = /^(\d{4})-(\d{2})/.exec(value || '');
+    if (!match) return value || '';
+    const month = MONTHS[parseInt(match[2], 10) - 1];
+    return month ? `${month.charAt(0).toUpperCase()}${month.slice(1)} ${match[1]}` : match[1];
+  }
+
+  getYear(value) {
+    const match = /\d{4}/.exec(value || '');
+    return match ? match[0] : (value || '');
+  }
+
+  /**
+   * Split a typed location ('Portland, OR') into JSON Resume fields
+   */
+  toLocation(value) {
+    const parts = (value || '').split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return undefined;
+    if (parts.length === 1) return { city: parts[0] };
+    return { city: parts.slice(0, -1).join(', '), region: parts[parts.length - 1] };
+  }
+
+  getProfileUsername(url) {
+    const match = /linkedin\.com\/in\/([^/?#]+)/i.exec(url);
+    return match ? match[1] : undefined;
+  }
+
+  /**
+   * Link for export: web, mail and phone links only, as for inline markup
+   * links. Other schemes are left out and reported.
+   */
+  toURL(value, path, unmapped) {
+    const url = this.richText.safeURL(value);
+    if (!url) unmapped.push({ path, reason: 'Only web, mail and phone links are exported' });
+    return url || undefined;
+  }
+
+  /**
+   * Link from an imported document, with the same scheme rules. Other
+   * links are dropped and reported.
+   */
+  fromURL(value, path, unmapped) {
+    if (!value) return '';
+    const url = this.richText.safeURL(String(value));
+    if (!url) unmapped.push({ path, reason: 'Only web, mail and phone links are imported' });
+    return url || '';
+  }
+
+  /**
+   * Report fields of an entry that are not imported
+   */
+  reportExtraFields(entry, known, path, unmapped) {
+    Object.keys(entry || {})
+      .filter(key => !known.includes(key) && this.hasValue(entry[key]))
+      .forEach(key => unmapped.push({ path: `${path}.${key}`, reason: 'No matching field' }));
+  }
+
+  asArray(value) {
+    return Array.isArray(value) ? value : [];
+  }
+
+  hasValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.keys(value).length > 0;
+    return value !== undefined && value !== null && value !== '';
+  }
+
+  /**
+   * Remove empty fields, as the schema prefers missing fields to empty ones
+   */
+  compact(object) {
+    const result = {};
+    Object.keys(object).forEach(key => {
+      if (this.hasValue(object[key])) result[key] = object[key];
+    });
+    return result;
+  }
+}
+
+// Export for browser usage
+if (typeof window !== 'undefined') {
+  window.JSONResume = JSONResume;
+}
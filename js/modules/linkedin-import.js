@@ -0,0 +1,321 @@
+/**
+ * LinkedIn Import Module
+ * Reads LinkedIn's "Download your data" archive (a ZIP of CSV files, or the
+ * CSV files themselves) in the browser and maps it onto resume data, either
+ * to replace a resume or to merge into one.
+ * Reusable across applications
+ */
+
+// CSV files used, by lowercased file name
+const LINKEDIN_FILES = {
+  profile: 'profile.csv',
+  positions: 'positions.csv',
+  education: 'education.csv',
+  skills: 'skills.csv',
+  certifications: 'certifications.csv',
+  emails: 'email addresses.csv',
+  phones: 'phonenumbers.csv'
+};
+
+// A column each file is known to have, to find its header row
+const LINKEDIN_HEADER_COLUMNS = {
+  profile: 'First Name',
+  positions: 'Company Name',
+  education: 'School Name',
+  skills: 'Name',
+  certifications: 'Name',
+  emails: 'Email Address',
+  phones: 'Number'
+};
+
+class LinkedInImporter {
+  constructor(options = {}) {
+    this.richText = options.richText || new RichText();
+  }
+
+  /**
+   * Read the archive or CSV files chosen by the user
+   * @param {FileList|array} files - A ZIP archive and/or CSV files
+   * @returns {Promise<object>} { success, data, found: [file names], error }
+   */
+  async readFiles(files) {
+    const texts = {};
+    try {
+      for (const file of Array.from(files)) {
+        if (/\.zip$/i.test(file.name)) {
+          if (typeof window === 'undefined' || typeof window.JSZip === 'undefined') {
+            return { success: false, error: 'ZIP reader not loaded' };
+          }
+          const zip = await window.JSZip.loadAsync(await file.arrayBuffer());
+          for (const entry of zip.file(/\.csv$/i)) {
+            texts[this.getBaseName(entry.name)] = await entry.async('string');
+          }
+        } else if (/\.csv$/i.test(file.name)) {
+          texts[this.getBaseName(file.name)] = await file.text();
+        }
+      }
+    } catch (error) {
+      return { success: false, error: `Could not read the file: ${error.message}` };
+    }
+
+    return this.fromCSVFiles(texts);
+  }
+
+  /**
+   * Map the contents of LinkedIn's CSV files to resume data
+   * @param {object} texts - CSV text by lowercased file name
+   * @returns {object} { success, data, found: [file names], error }
+   */
+  fromCSVFiles(texts) {
+    const tables = {};
+    Object.keys(LINKEDIN_FILES).forEach(key => {
+      const text = texts[LINKEDIN_FILES[key]];
+      if (text !== undefined) tables[key] = this.toRecords(this.parseCSV(text), LINKEDIN_HEADER_COLUMNS[key]);
+    });
+
+    const found = Object.keys(tables).map(key => LINKEDIN_FILES[key]);
+    if (!['profile', 'positions', 'education', 'skills', 'certifications'].some(key => tables[key])) {
+      return {
+        success: false,
+        error: 'No LinkedIn profile files found. Choose the ZIP from LinkedIn\'s "Download your data" page, or Profile.csv, Positions.csv and the other CSV files in it.'
+      };
+    }
+
+    const profile = (tables.profile || [])[0] || {};
+    const emails = tables.emails || [];
+    const email = emails.find(row => /yes/i.test(row['Primary'])) || emails[0] || {};
+    const phone = (tables.phones || []).find(row => row['Number']) || {};
+
+    const personalInfo = {
+      fullName: [profile['First Name'], profile['Last Name']].filter(Boolean).join(' '),
+      title: profile['Headline'] || '',
+      email: email['Email Address'] || '',
+      phone: phone['Number'] || '',
+      location: profile['Geo Location'] || '',
+      linkedin: '',
+      website: this.getWebsite(profile['Websites'])
+    };
+
+    const experience = (tables.positions || []).map(row => ({
+      title: row['Title'] || '',
+      company: row['Company Name'] || '',
+      location: row['Location'] || '',
+      startDate: row['Started On'] || '',
+      endDate: row['Finished On'] || 'Present',
+      ...this.splitDescription(row['Description'])
+    }));
+
+    const education = (tables.education || []).map(row => ({
+      degree: [row['Degree Name'], row['Field Of Study'] || row['Field of Study']].filter(Boolean).join(', '),
+      institution: row['School Name'] || '',
+      year: this.getYear(row['End Date'] || row['Start Date'])
+    }));
+
+    const skills = (tables.skills || []).map(row => (row['Name'] || '').trim()).filter(Boolean);
+
+    const certifications = (tables.certifications || []).map(row => ({
+      name: row['Name'] || '',
+      issuer: row['Authority'] || '',
+      year: this.getYear(row['Started On']),
+      url: this.getURL(row['Url'])
+    })).filter(cert => cert.name);
+
+    return {
+      success: true,
+      data: {
+        personalInfo,
+        summary: profile['Summary'] || '',
+        experience,
+        education,
+        skills: [...new Set(skills)],
+        certifications
+      },
+      found
+    };
+  }
+
+  /**
+   * Merge imported resume data into existing resume data. Existing values
+   * win; empty fields are filled in and entries not already present are
+   * added after the existing ones.
+   * @param {object} current - Existing resume data
+   * @param {object} imported - Imported resume data
+   * @returns {object} { data, added: { experience, education, skills, certifications } }
+   */
+  merge(current, imported) {
+    const personalInfo = { ...current.personalInfo };
+    Object.keys(imported.personalInfo).forEach(field => {
+      if (!personalInfo[field] && imported.personalInfo[field]) personalInfo[field] = imported.personalInfo[field];
+    });
+
+    const added = {};
+    const mergeEntries = (section, getKey) => {
+      const entries = (current[section] || []).map(entry => ({ ...entry }));
+      added[section] = 0;
+      (imported[section] || []).forEach(entry => {
+        const match = entries.find(existing => getKey(existing) === getKey(entry));
+        if (!match) {
+          entries.push(entry);
+          added[section]++;
+          return;
+        }
+        Object.keys(entry).forEach(field => {
+          const empty = Array.isArray(match[field]) ? match[field].length === 0 : !match[field];
+          if (empty) match[field] = entry[field];
+        });
+      });
+      return entries;
+    };
+
+    const experience = mergeEntries('experience', exp => this.getKey(exp.company, exp.title));
+    const education = mergeEntries('education', edu => this.getKey(edu.institution, edu.degree));
+    const certifications = mergeEntries('certifications', cert => this.getKey(cert.name));
+
+    const skills = [...(current.skills || [])];
+    const known = new Set(skills.map(skill => skill.toLowerCase()));
+    added.skills = 0;
+    imported.skills.forEach(skill => {
+      if (known.has(skill.toLowerCase())) return;
+      known.add(skill.toLowerCase());
+      skills.push(skill);
+      added.skills++;
+    });
+
+    return {
+      data: {
+        ...current,
+        personalInfo,
+        summary: current.summary || imported.summary,
+        experience,
+        education,
+        skills,
+        certifications
+      },
+      added
+    };
+  }
+
+  // ============ CSV ============
+
+  /**
+   * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and
+   * line breaks)
+   * @param {string} text - CSV text
+   * @returns {array} Rows of fields
+   */
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim()));
+  }
+
+  /**
+   * Turn rows into objects keyed by the header row. Some exports start
+   * with notes, so the header is the first row with a known column.
+   * @param {array} rows - Rows of fields
+   * @param {string} column - A column the header row has
+   * @returns {array} Records
+   */
+  toRecords(rows, column) {
+    const headerIndex = rows.findIndex(row => row.map(value => value.trim()).includes(column));
+    if (headerIndex < 0) return [];
+
+    const header = rows[headerIndex].map(value => value.trim());
+    return rows.slice(headerIndex + 1).map(row => {
+      const record = {};
+      header.forEach((name, index) => {
+        record[name] = (row[index] || '').trim();
+      });
+      return record;
+    });
+  }
+
+  // ============ HELPERS ============
+
+  getBaseName(path) {
+    return path.split('/').pop().toLowerCase();
+  }
+
+  /**
+   * Position descriptions with several lines or bullets become
+   * achievements; a single paragraph stays a description
+   * @returns {object} { achievements, description }
+   */
+  splitDescription(text) {
+    const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const bulleted = lines.some(line => /^[•●▪■◦‣○►\-–*·]\s*/.test(line));
+    if (lines.length > 1 || bulleted) {
+      return { achievements: lines.map(line => line.replace(/^[•●▪■◦‣○►\-–*·]\s*/, '')), description: '' };
+    }
+    return { achievements: [], description: lines[0] || '' };
+  }
+
+  /**
+   * The first address in Profile.csv's websites field, which looks like
+   * '[PORTFOLIO:https://example.com,COMPANY:https://example.org]'
+   */
+  getWebsite(value) {
+    const match = /https?:\/\/[^\s,\]]+/.exec(value || '');
+    return match ? match[0] : '';
+  }
+
+  /**
+   * Certification link, kept only for web, mail and phone schemes
+   */
+  getURL(value) {
+    const url = (value || '').trim();
+    return url ? this.richText.safeURL(url) || '' : '';
+  }
+
+  getYear(value) {
+    const match = /\d{4}/.exec(value || '');
+    return match ? match[0] : '';
+  }
+
+  /**
+   * Compare entries loosely: case, spacing and punctuation are ignored
+   */
+  getKey(...values) {
+    return values.map(value => (value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()).join('|');
+  }
+}
+
+// Export for browser usage
+if (typeof window !== 'undefined') {
+  window.LinkedInImporter = LinkedInImporter;
+}
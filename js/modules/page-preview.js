@@ -0,0 +1,193 @@
+/**
+ * Page Preview Module
+ * Splits rendered HTML into fixed-size pages for on-screen preview and
+ * printing. Page breaks fall between lines of text, the same way
+ * PDFGenerator.generateFromHTML breaks pages. Requires a browser DOM.
+ * Reusable across applications
+ */
+
+const PAGE_SIZES = {
+  a4: { width: 210, height: 297 },
+  letter: { width: 215.9, height: 279.4 },
+  legal: { width: 215.9, height: 355.6 }
+};
+
+class PagePreview {
+  constructor(options = {}) {
+    this.cssPrefix = options.cssPrefix || 'page-';
+    // Latest render into each container, so a slower earlier one is dropped
+    this.renders = new WeakMap();
+  }
+
+  /**
+   * Get a page size in mm
+   * @param {string} format - 'a4' | 'letter' | 'legal'
+   */
+  getPageSize(format) {
+    return PAGE_SIZES[format] || PAGE_SIZES.a4;
+  }
+
+  /**
+   * Convert mm to CSS pixels
+   */
+  mmToPx(mm) {
+    return mm * 96 / 25.4;
+  }
+
+  /**
+   * Render HTML as a column of pages. Images that are not decoded yet are
+   * waited for before measuring; when all are (e.g. a photo already shown
+   * elsewhere on the page), the pages are in place before this returns.
+   * @param {Element} container - Element to render the pages into
+   * @param {string} html - Rendered template markup
+   * @param {string} css - Template CSS
+   * @param {object} options - `format`, `margin` (mm), `pageNumbers` to
+   *   label each page, `scaleToFit` to shrink the pages to the
+   *   container's width, and `patch(container, markup)` to update the
+   *   container in place instead of replacing its content
+   * @returns {Promise<object|null>} { pages }, or null when a later render
+   *   into the same container started first
+   */
+  async render(container, html, css = '', options = {}) {
+    const size = this.getPageSize(options.format);
+    const margin = options.margin !== undefined ? options.margin : 10;
+    const contentWidth = this.mmToPx(size.width - margin * 2);
+    const contentHeight = this.mmToPx(size.height - margin * 2);
+    const token = {};
+    this.renders.set(container, token);
+
+    // Lay the markup out once, off-screen, at the printable width
+    const host = document.createElement('div');
+    host.style.cssText = `position: absolute; left: -10000px; top: 0; width: ${contentWidth}px;`;
+    host.innerHTML = `<style>${css}</style>${html}`;
+    document.body.appendChild(host);
+
+    let starts;
+    let totalHeight;
+    try {
+      // An image takes its height once decoded
+      const images = Array.from(host.querySelectorAll('img')).filter(image => !image.complete);
+      if (images.length > 0) {
+        await Promise.all(images.map(image => image.decode().catch(() => {})));
+        if (this.renders.get(container) !== token) return null;
+      }
+      starts = this.findPageStarts(host, contentHeight);
+      totalHeight = host.scrollHeight;
+    } finally {
+      host.remove();
+    }
+
+    let zoom = '';
+    if (options.scaleToFit) {
+      const available = container.clientWidth;
+      const scale = available > 0 ? Math.min(1, available / this.mmToPx(size.width + 10)) : 1;
+      zoom = ` style="zoom: ${scale};"`;
+    }
+
+    // Each page shows its slice of the markup; the CSS is added once
+    const p = this.cssPrefix;
+    const markup = `<div class="${p}preview"${zoom}><style>${css}</style>${starts.map((start, index) => {
+      const end = index + 1 < starts.length ? starts[index + 1] : totalHeight;
+      return `
+        <div class="${p}sheet" style="width: ${size.width}mm; height: ${size.height}mm; padding: ${margin}mm;">
+          <div class="${p}window" style="width: ${contentWidth}px; height: ${Math.min(end - start, contentHeight)}px;">
+            <div style="transform: translateY(${-start}px);">${html}</div>
+          </div>
+          ${options.pageNumbers ? `<div class="${p}number">${index + 1} / ${starts.length}</div>` : ''}
+        </div>
+      `;
+    }).join('')}</div>`;
+
+    if (options.patch) {
+      options.patch(container, markup);
+    } else {
+      container.innerHTML = markup;
+    }
+
+    return { pages: starts.length };
+  }
+
+  /**
+   * Work out where each page starts in the laid-out markup. A line that
+   * would straddle a page boundary starts the next page.
+   * @param {Element} host - Laid-out container
+   * @param {number} pageHeight - Printable page height in CSS pixels
+   * @returns {array} Page start positions in CSS pixels
+   */
+  findPageStarts(host, pageHeight) {
+    const origin = host.getBoundingClientRect().top;
+    const boxes = [];
+
+    const walker = document.createTreeWalker(host, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (!node.textContent.trim() || node.parentElement.closest('style')) continue;
+      range.selectNodeContents(node);
+      Array.from(range.getClientRects()).forEach(rect => {
+        boxes.push({ top: rect.top - origin, bottom: rect.bottom - origin });
+      });
+    }
+    // Images are kept whole too
+    host.querySelectorAll('img').forEach(image => {
+      const rect = image.getBoundingClientRect();
+      boxes.push({ top: rect.top - origin, bottom: rect.bottom - origin });
+    });
+
+    const starts = [0];
+    let pageEnd = pageHeight;
+    boxes.sort((a, b) => a.top - b.top).forEach(box => {
+      while (box.bottom > pageEnd) {
+        const pageStart = starts[starts.length - 1];
+        const fitsOnAPage = box.bottom - box.top < pageHeight;
+        const next = box.top < pageEnd && box.top > pageStart && fitsOnAPage ? box.top : pageEnd;
+        starts.push(next);
+        pageEnd = next + pageHeight;
+      }
+    });
+
+    return starts;
+  }
+
+  /**
+   * Markup for a miniature of the first page. Nothing is measured, so the
+   * result can be built ahead of time and cached.
+   * @param {string} html - Rendered template markup
+   * @param {string} css - Template CSS
+   * @param {object} options - `format`, `margin` (mm) and `height` of the
+   *   miniature in CSS pixels
+   * @returns {string} HTML
+   */
+  renderThumbnail(html, css = '', options = {}) {
+    const size = this.getPageSize(options.format);
+    const margin = options.margin !== undefined ? options.margin : 10;
+    const pageWidth = this.mmToPx(size.width);
+    const pageHeight = this.mmToPx(size.height);
+    const scale = (options.height || 200) / pageHeight;
+
+    const p = this.cssPrefix;
+    return `
+      <div class="${p}thumbnail" style="width: ${pageWidth * scale}px; height: ${pageHeight * scale}px;">
+        <div class="${p}sheet" style="width: ${size.width}mm; height: ${size.height}mm; padding: ${margin}mm; transform: scale(${scale}); transform-origin: 0 0;">
+          <div class="${p}window" style="width: ${this.mmToPx(size.width - margin * 2)}px; height: ${this.mmToPx(size.height - margin * 2)}px;">
+            <style>${css}</style>${html}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * CSS that prints pages rendered by render() one per sheet of paper
+   * @param {string} format - 'a4' | 'letter' | 'legal'
+   */
+  getPrintCSS(format) {
+    const size = this.getPageSize(format);
+    return `@page { size: ${size.width}mm ${size.height}mm; margin: 0; }`;
+  }
+}
+
+// Export for browser usage
+if (typeof window !== 'undefined') {
+  window.PagePreview = PagePreview;
+}
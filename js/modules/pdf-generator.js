@@ -4,12 +4,25 @@
  * Reusable across applications
  */
 
+// Characters outside Latin-1 that the standard PDF fonts can still encode
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+const STANDARD_FONTS = ['helvetica', 'times', 'courier'];
+
 class PDFGenerator {
   constructor(options = {}) {
     this.defaultFont = options.font || 'helvetica';
     this.defaultFontSize = options.fontSize || 12;
     this.margin = options.margin || 20;
     this.lineHeight = options.lineHeight || 7;
+
+    // Registered TrueType fonts: name -> { styles: Map(style -> base64), fallback }
+    this.fonts = new Map();
+    // Fonts that can be fetched when needed ({ name, files, fallback }), and loads started
+    this.fontDefinitions = [];
+    this.fontLoads = new Map();
+
+    // Inline markup (**bold**, *italic*, [links](url)) in summaries and bullets
+    this.richText = options.richText || new RichText();
   }
 
   /**
@@ -29,269 +42,2217 @@ class PDFGenerator {
     }
 
     const { jsPDF } = window.jspdf;
-    return new jsPDF({
+    const doc = new jsPDF({
       orientation: options.orientation || 'portrait',
       unit: options.unit || 'mm',
       format: options.format || 'a4'
     });
+
+    // Registered fonts are embedded when first used (see embedFont)
+    return doc;
   }
 
   /**
-   * Generate a resume PDF
-   * @param {object} resumeData - Resume data object
-   * @param {object} template - Template configuration
+   * Add a registered font to a document, once. Parsing a TrueType font is
+   * slow for large (CJK) fonts, so documents only embed the fonts they use.
+   * @param {object} doc - jsPDF document
+   * @param {string} name - Registered family name
+   * @param {string} style - Font style
    */
-  generateResume(resumeData, template = {}) {
-    const doc = this.createDocument();
-    const pageWidth = doc.internal.pageSize.getWidth();
-    const pageHeight = doc.internal.pageSize.getHeight();
-    const margin = template.margin || this.margin;
-    const contentWidth = pageWidth - (margin * 2);
-
-    let y = margin;
-
-    // Colors
-    const primaryColor = template.primaryColor || [41, 65, 114]; // Dark blue
-    const textColor = template.textColor || [51, 51, 51];
-    const lightGray = [128, 128, 128];
-
-    // Helper function to check page break
-    const checkPageBreak = (requiredSpace) => {
-      if (y + requiredSpace > pageHeight - margin) {
-        doc.addPage();
-        y = margin;
-        return true;
-      }
-      return false;
-    };
+  embedFont(doc, name, style) {
+    const font = this.fonts.get(name);
+    if (!font || !font.styles.has(style)) return;
 
-    // Helper function to add section header
-    const addSectionHeader = (title) => {
-      checkPageBreak(15);
-      doc.setFontSize(14);
-      doc.setFont(this.defaultFont, 'bold');
-      doc.setTextColor(...primaryColor);
-      doc.text(title.toUpperCase(), margin, y);
-      y += 2;
-      doc.setDrawColor(...primaryColor);
-      doc.setLineWidth(0.5);
-      doc.line(margin, y, pageWidth - margin, y);
-      y += 8;
-    };
+    const embedded = doc.getFontList()[name];
+    if (embedded && embedded.includes(style)) return;
 
-    // ===== HEADER / PERSONAL INFO =====
-    const personalInfo = resumeData.personalInfo || {};
+    const fileName = `${name}-${style}.ttf`;
+    doc.addFileToVFS(fileName, font.styles.get(style));
+    doc.addFont(fileName, name, style);
+  }
 
-    // Name
-    doc.setFontSize(24);
-    doc.setFont(this.defaultFont, 'bold');
-    doc.setTextColor(...primaryColor);
-    const name = personalInfo.fullName || 'Your Name';
-    doc.text(name, pageWidth / 2, y, { align: 'center' });
-    y += 10;
-
-    // Contact info line
-    doc.setFontSize(10);
-    doc.setFont(this.defaultFont, 'normal');
-    doc.setTextColor(...lightGray);
-    const contactParts = [];
-    if (personalInfo.email) contactParts.push(personalInfo.email);
-    if (personalInfo.phone) contactParts.push(personalInfo.phone);
-    if (personalInfo.location) contactParts.push(personalInfo.location);
-    if (personalInfo.linkedin) contactParts.push(personalInfo.linkedin);
-
-    const contactLine = contactParts.join('  |  ');
-    doc.text(contactLine, pageWidth / 2, y, { align: 'center' });
-    y += 12;
-
-    // ===== PROFESSIONAL SUMMARY =====
-    if (resumeData.summary) {
-      addSectionHeader('Professional Summary');
-      doc.setFontSize(10);
-      doc.setFont(this.defaultFont, 'normal');
-      doc.setTextColor(...textColor);
-
-      const summaryLines = doc.splitTextToSize(resumeData.summary, contentWidth);
-      doc.text(summaryLines, margin, y);
-      y += summaryLines.length * 5 + 8;
-    }
-
-    // ===== WORK EXPERIENCE =====
-    if (resumeData.experience && resumeData.experience.length > 0) {
-      addSectionHeader('Work Experience');
-
-      resumeData.experience.forEach((exp, index) => {
-        checkPageBreak(25);
-
-        // Job title and company
-        doc.setFontSize(11);
-        doc.setFont(this.defaultFont, 'bold');
-        doc.setTextColor(...textColor);
-        doc.text(exp.title || 'Job Title', margin, y);
-
-        // Date on the right
-        doc.setFontSize(10);
-        doc.setFont(this.defaultFont, 'normal');
-        doc.setTextColor(...lightGray);
-        const dateText = `${exp.startDate || ''} - ${exp.endDate || 'Present'}`;
-        doc.text(dateText, pageWidth - margin, y, { align: 'right' });
-        y += 5;
-
-        // Company and location
-        doc.setFontSize(10);
-        doc.setFont(this.defaultFont, 'italic');
-        doc.setTextColor(...lightGray);
-        const companyLine = [exp.company, exp.location].filter(Boolean).join(' | ');
-        doc.text(companyLine, margin, y);
-        y += 6;
-
-        // Description / Achievements
-        doc.setFont(this.defaultFont, 'normal');
-        doc.setTextColor(...textColor);
-
-        if (exp.achievements && exp.achievements.length > 0) {
-          exp.achievements.forEach(achievement => {
-            checkPageBreak(8);
-            const bulletText = `• ${achievement}`;
-            const lines = doc.splitTextToSize(bulletText, contentWidth - 5);
-            doc.text(lines, margin + 3, y);
-            y += lines.length * 4.5;
-          });
-        } else if (exp.description) {
-          const descLines = doc.splitTextToSize(exp.description, contentWidth);
-          doc.text(descLines, margin, y);
-          y += descLines.length * 4.5;
+  /**
+   * Embed a font if needed and make it the current font
+   */
+  setFont(doc, family, style) {
+    this.embedFont(doc, family, style);
+    doc.setFont(family, style);
+  }
+
+  /**
+   * Register a TrueType font for every document created afterwards.
+   * Embedded fonts are written with Unicode (Identity-H) encoding.
+   * @param {string} name - Family name, as used in a template's `fonts` settings
+   * @param {string} style - 'normal' | 'bold' | 'italic' | 'bolditalic'
+   * @param {string} base64 - TTF file contents, base64 encoded
+   * @param {object} options - `fallback: true` to use the font for text the
+   *   selected font has no glyphs for
+   */
+  registerFont(name, style, base64, options = {}) {
+    if (!this.fonts.has(name)) {
+      this.fonts.set(name, { styles: new Map(), fallback: false });
+    }
+    const font = this.fonts.get(name);
+    font.styles.set(style, base64);
+    if (options.fallback) font.fallback = true;
+  }
+
+  /**
+   * Fetch TTF files (e.g. bundled under assets/fonts/) and register them
+   * @param {string} name - Family name
+   * @param {object} files - Map of style to URL, e.g. { normal: 'assets/fonts/NotoSans-Regular.ttf' }
+   * @param {object} options - Passed to registerFont
+   */
+  async loadFont(name, files, options = {}) {
+    const results = await Promise.all(Object.entries(files).map(async ([style, url]) => {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
         }
+        const base64 = this.arrayBufferToBase64(await response.arrayBuffer());
+        this.registerFont(name, style, base64, options);
+        return { style, success: true };
+      } catch (error) {
+        console.warn(`Font ${name} (${style}) could not be loaded from ${url}:`, error.message);
+        return { style, success: false, error: error.message };
+      }
+    }));
 
-        y += 6;
-      });
+    return { success: results.some(result => result.success), results };
+  }
+
+  /**
+   * Set the fonts that can be loaded on demand. Nothing is fetched until
+   * loadFontsFor needs a font.
+   * @param {array} definitions - Font definitions ({ name, files, fallback }), e.g. from font-config.js
+   */
+  setFontDefinitions(definitions = []) {
+    this.fontDefinitions = definitions;
+  }
+
+  /**
+   * Load the configured fonts a document needs: the families it uses, then
+   * fallback fonts in list order while some of its text has no glyphs in
+   * the fonts loaded so far. A font that loads is fetched only once; a
+   * failed load is tried again on the next call.
+   * @param {string} text - Text the document will show
+   * @param {array} families - Font families the document uses
+   * @returns {Promise<object>} { success, results, missing: [characters no font can display] }
+   */
+  async loadFontsFor(text, families = []) {
+    const results = [];
+    const load = async (definition) => {
+      if (!this.fontLoads.has(definition.name)) {
+        this.fontLoads.set(definition.name,
+          this.loadFont(definition.name, definition.files || {}, { fallback: definition.fallback }));
+      }
+      const loading = this.fontLoads.get(definition.name);
+      const result = await loading;
+      if (!result.success && this.fontLoads.get(definition.name) === loading) {
+        this.fontLoads.delete(definition.name);
+      }
+      results.push(result);
+    };
+
+    for (const definition of this.fontDefinitions) {
+      if (families.includes(definition.name)) await load(definition);
+    }
+
+    let missing = this.getMissingCharacters(text, families.length > 0 ? families : [this.defaultFont]);
+    for (const definition of this.fontDefinitions) {
+      if (missing.length === 0) break;
+      if (!definition.fallback) continue;
+      await load(definition);
+      missing = this.getMissingCharacters(missing.join(''), [definition.name]);
     }
 
-    // ===== EDUCATION =====
-    if (resumeData.education && resumeData.education.length > 0) {
-      addSectionHeader('Education');
+    return { success: results.every(result => result.success), results, missing };
+  }
+
+  /**
+   * Characters of a text that none of the given fonts can display
+   * @param {string} text - Text to check
+   * @param {array} families - Font families
+   * @returns {array} Distinct characters
+   */
+  getMissingCharacters(text, families) {
+    const chars = [...new Set(text)].filter(char => char.codePointAt(0) >= 0x20);
+    if (chars.length === 0 || !this.isReady()) return [];
+
+    // One document for all checks, so each font is parsed once
+    if (!this.fontCheckDoc) this.fontCheckDoc = this.createDocument();
+    const doc = this.fontCheckDoc;
+    return chars.filter(char => !families.some(name => {
+      const [family, style] = this.resolveFont(name, 'normal');
+      return this.canRenderText(doc, family, style, char);
+    }));
+  }
+
+  /**
+   * Font families a template uses: its PDF fonts, and configured fonts its
+   * CSS names (for the HTML renderer)
+   * @param {object} template - Template object
+   */
+  getTemplateFonts(template = {}) {
+    const normalize = name => name.replace(/['"\s-]/g, '').toLowerCase();
+    const fonts = (template.pdf && template.pdf.fonts) || {};
+    const css = normalize(template.css || '');
+    const named = this.fontDefinitions
+      .filter(definition => css.includes(normalize(definition.name)))
+      .map(definition => definition.name);
+    return [...new Set([fonts.heading, fonts.body, ...named].filter(Boolean))];
+  }
 
-      resumeData.education.forEach((edu) => {
-        checkPageBreak(15);
+  /**
+   * Convert an ArrayBuffer to a base64 string
+   */
+  arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+  }
 
-        doc.setFontSize(11);
-        doc.setFont(this.defaultFont, 'bold');
-        doc.setTextColor(...textColor);
-        doc.text(edu.degree || 'Degree', margin, y);
+  /**
+   * Get the jsPDF family and style to use for a requested font. Unknown
+   * families fall back to the default font; registered fonts without the
+   * requested style use their regular face.
+   * @param {string} family - Requested family
+   * @param {string} style - Requested style
+   */
+  resolveFont(family, style = 'normal') {
+    if (STANDARD_FONTS.includes(family)) return [family, style];
 
-        doc.setFontSize(10);
-        doc.setFont(this.defaultFont, 'normal');
-        doc.setTextColor(...lightGray);
-        doc.text(edu.year || '', pageWidth - margin, y, { align: 'right' });
-        y += 5;
+    const font = this.fonts.get(family);
+    if (!font) return [this.defaultFont, style];
+    if (font.styles.has(style)) return [family, style];
+    if (font.styles.has('normal')) return [family, 'normal'];
+    return [family, font.styles.keys().next().value];
+  }
 
-        doc.setFont(this.defaultFont, 'italic');
-        doc.text(edu.institution || 'Institution', margin, y);
-        y += 8;
-      });
+  /**
+   * Check whether a font can display every character of a string
+   * @param {object} doc - jsPDF document
+   * @param {string} family - Font family
+   * @param {string} style - Font style
+   * @param {string} text - Text to check
+   */
+  canRenderText(doc, family, style, text) {
+    this.embedFont(doc, family, style);
+    const font = doc.internal.getFont(family, style);
+    const cmap = font && font.encoding === 'Identity-H' && font.metadata && font.metadata.cmap;
+    const codeMap = cmap && cmap.unicode && cmap.unicode.codeMap;
+
+    for (const char of text) {
+      const code = char.codePointAt(0);
+      if (code < 0x20) continue;
+      if (codeMap) {
+        if (!codeMap[code]) return false;
+      } else if (code > 0xFF && !WIN_ANSI_EXTRAS.includes(char)) {
+        return false;
+      }
     }
+    return true;
+  }
 
-    // ===== SKILLS =====
-    if (resumeData.skills && resumeData.skills.length > 0) {
-      addSectionHeader('Skills');
+  /**
+   * Select the current font for some text, switching to a registered
+   * fallback font when the template font has no glyphs for it
+   * @param {object} ctx - Layout context (uses ctx.font set by setTextStyle)
+   * @param {string|array} text - Text or wrapped lines
+   */
+  useFontFor(ctx, text) {
+    if (!ctx.font) return;
 
-      doc.setFontSize(10);
-      doc.setFont(this.defaultFont, 'normal');
-      doc.setTextColor(...textColor);
+    const string = Array.isArray(text) ? text.join('') : String(text);
+    const [family, style] = this.resolveFont(ctx.font.family, ctx.font.style);
+    if (this.canRenderText(ctx.doc, family, style, string)) {
+      this.setFont(ctx.doc, family, style);
+      return;
+    }
 
-      const skillsText = resumeData.skills.join('  •  ');
-      const skillsLines = doc.splitTextToSize(skillsText, contentWidth);
-      doc.text(skillsLines, margin, y);
-      y += skillsLines.length * 5 + 5;
+    for (const [name, font] of this.fonts) {
+      if (!font.fallback) continue;
+      const [fallbackFamily, fallbackStyle] = this.resolveFont(name, ctx.font.style);
+      if (this.canRenderText(ctx.doc, fallbackFamily, fallbackStyle, string)) {
+        this.setFont(ctx.doc, fallbackFamily, fallbackStyle);
+        return;
+      }
     }
 
-    // ===== CERTIFICATIONS =====
-    if (resumeData.certifications && resumeData.certifications.length > 0) {
-      addSectionHeader('Certifications');
+    // No font covers the text; keep the template font (loadFontsFor
+    // reports these characters before the export)
+    this.setFont(ctx.doc, family, style);
+  }
 
-      resumeData.certifications.forEach((cert) => {
-        checkPageBreak(8);
-        doc.setFontSize(10);
-        doc.setFont(this.defaultFont, 'normal');
-        doc.setTextColor(...textColor);
+  /**
+   * Default layout description, used for any setting a template leaves out.
+   * Templates override parts of it through `pdf.layout`.
+   */
+  getDefaultLayout() {
+    return {
+      header: {
+        align: 'center',            // 'left' | 'center'
+        nameSize: 24,
+        nameStyle: 'bold',
+        showTitle: false,
+        band: false,                // Fill the header with the primary color
+        contactFields: ['email', 'phone', 'location', 'linkedin'],
+        contactSeparator: '  |  ',
+        spacingAfter: 12,
+        photo: 'top',               // Profile photo: 'top' (above the name) | 'end' (beside the header) | 'none'
+        photoSize: 30               // Photo width and height in mm
+      },
+      sectionTitle: {
+        size: 14,
+        uppercase: true,
+        color: 'primary',           // Palette key or RGB array
+        rule: true,
+        ruleColor: 'primary',
+        charSpace: 0
+      },
+      sections: ['summary', 'experience', 'education', 'skills', 'certifications'],
+      titles: {
+        summary: 'Professional Summary',
+        experience: 'Work Experience',
+        education: 'Education',
+        skills: 'Skills',
+        certifications: 'Certifications'
+      },
+      dates: 'right',               // 'right' | 'left' (separate date column) | 'below'
+      dateColumnWidth: 35,
+      entryBar: false,              // Accent bar beside experience entries
+      skills: {
+        style: 'inline',            // 'inline' | 'pills'
+        separator: '  •  '
+      },
+      // Two-column mode: null for a single column, or a sidebar description.
+      // `layout` holds overrides (sectionTitle, dates, skills) for sidebar content.
+      sidebar: null,
+      // Running header and footer, drawn in the page margins after layout
+      running: {
+        header: 'continuation',     // 'continuation' (page 2 on) | 'all' | 'none'
+        contact: false,             // Add the contact line to the header
+        footer: 'Page {page} of {pages}' // Footer text, or null; only used for multi-page documents
+      }
+    };
+  }
 
-        const certText = `• ${cert.name}${cert.issuer ? ` - ${cert.issuer}` : ''}${cert.year ? ` (${cert.year})` : ''}`;
-        doc.text(certText, margin, y);
-        y += 5;
-      });
+  /**
+   * Defaults for the sidebar of a two-column layout
+   */
+  getDefaultSidebar() {
+    return {
+      side: 'left',                 // 'left' | 'right'
+      width: 65,
+      padding: 7,
+      gap: 10,                      // Space between sidebar and main column
+      showHeader: true,             // Draw name and title at the top of the sidebar
+      sections: ['contact', 'skills', 'education', 'certifications'],
+      layout: {}
+    };
+  }
+
+  /**
+   * Merge a template layout description over the defaults
+   * @param {object} layout - Template layout description
+   */
+  resolveLayout(layout = {}) {
+    const defaults = this.getDefaultLayout();
+    return {
+      ...defaults,
+      ...layout,
+      header: { ...defaults.header, ...layout.header },
+      sectionTitle: { ...defaults.sectionTitle, ...layout.sectionTitle },
+      titles: { contact: 'Contact', ...defaults.titles, ...layout.titles },
+      skills: { ...defaults.skills, ...layout.skills },
+      running: { ...defaults.running, ...layout.running },
+      sidebar: layout.sidebar ? { ...this.getDefaultSidebar(), ...layout.sidebar } : null
+    };
+  }
+
+  /**
+   * Section order for formats without columns: the main sections, then
+   * the sidebar's. Contact details are left to the header.
+   * @param {object} layout - Resolved layout (see resolveLayout)
+   */
+  getSingleColumnSections(layout) {
+    const sections = [...layout.sections];
+    if (layout.sidebar) {
+      layout.sidebar.sections
+        .filter(sectionId => sectionId !== 'contact' && !sections.includes(sectionId))
+        .forEach(sectionId => sections.push(sectionId));
     }
+    return sections;
+  }
 
-    return doc;
+  /**
+   * Default resume export settings. `margin: null` keeps the template's margin.
+   */
+  getDefaultExportSettings() {
+    return {
+      format: 'a4',                 // 'a4' | 'letter' | 'legal'
+      margin: null,                 // Page margin in mm
+      fontSize: 10,                 // Body text size in points; other text scales with it
+      lineSpacing: 1,               // Multiplier for line and paragraph spacing
+      fitPages: null,               // Tighten the layout to fit this many pages (null to disable)
+      runningHeaders: true,         // Draw the layout's running header and footer
+      tagged: false,                // Add a structure tree for screen readers (tagged PDF)
+      language: 'en-US',            // Document language for screen readers
+      includePhoto: true            // Show the profile photo where the template has a slot for it
+    };
   }
 
   /**
-   * Generate a cover letter PDF
-   * @param {string} content - Cover letter content
-   * @param {object} personalInfo - Sender's info
-   * @param {object} template - Template configuration
+   * Lowest values fitResume may tighten to. Templates override them
+   * through `pdf.fit`.
+   */
+  getDefaultFitLimits() {
+    return {
+      minFontSize: 9,
+      minLineSpacing: 0.85,
+      minMargin: 12
+    };
+  }
+
+  /**
+   * Merge export settings over the defaults. Values typed into forms arrive
+   * as strings, so numbers are parsed here.
+   * @param {object} settings - Export settings
+   */
+  resolveExportSettings(settings = {}) {
+    const defaults = this.getDefaultExportSettings();
+    const margin = parseFloat(settings.margin);
+    return {
+      format: settings.format || defaults.format,
+      margin: margin > 0 ? margin : null,
+      fontSize: parseFloat(settings.fontSize) || defaults.fontSize,
+      lineSpacing: parseFloat(settings.lineSpacing) || defaults.lineSpacing,
+      fitPages: parseInt(settings.fitPages, 10) || defaults.fitPages,
+      runningHeaders: settings.runningHeaders !== undefined ? !!settings.runningHeaders : defaults.runningHeaders,
+      tagged: !!settings.tagged,
+      language: (settings.language || '').trim() || defaults.language,
+      includePhoto: settings.includePhoto !== undefined ? !!settings.includePhoto : defaults.includePhoto
+    };
+  }
+
+  /**
+   * Get the PDF configuration from a full template object or a bare config
+   * @param {object} template - Template object or its `pdf` config
+   */
+  resolveTemplateConfig(template = {}) {
+    return template.pdf || template;
+  }
+
+  /**
+   * Create the layout state shared by the drawing helpers
+   * @param {object} doc - jsPDF document
+   * @param {object} config - Template PDF configuration
+   * @param {object} settings - Export settings (see getDefaultExportSettings)
    */
-  generateCoverLetter(content, personalInfo = {}, template = {}) {
-    const doc = this.createDocument();
+  createLayoutContext(doc, config, settings = {}) {
+    const exportSettings = this.resolveExportSettings(settings);
     const pageWidth = doc.internal.pageSize.getWidth();
-    const margin = template.margin || this.margin;
-    const contentWidth = pageWidth - (margin * 2);
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = exportSettings.margin || config.margin || this.margin;
+    const fontScale = exportSettings.fontSize / this.getDefaultExportSettings().fontSize;
 
-    let y = margin;
+    // jsPDF spaces wrapped lines by this factor; keep it in step with the cursor
+    doc.setLineHeightFactor(1.15 * exportSettings.lineSpacing);
 
-    const primaryColor = template.primaryColor || [41, 65, 114];
-    const textColor = template.textColor || [51, 51, 51];
-    const lightGray = [128, 128, 128];
+    return {
+      doc,
+      layout: this.resolveLayout(config.layout),
+      pageWidth,
+      pageHeight,
+      margin,
+      x: margin,
+      y: margin,
+      page: 1,
+      rtl: false,
+      width: pageWidth - (margin * 2),
+      fontScale,
+      lineSpacing: exportSettings.lineSpacing,
+      runningHeaders: exportSettings.runningHeaders,
+      includePhoto: exportSettings.includePhoto,
+      sections: [],                 // Where each drawn section starts and ends
+      structure: exportSettings.tagged ? new PDFStructure(doc, { lang: exportSettings.language }) : null,
+      onNewPage: null,
+      fonts: {
+        heading: (config.fonts && config.fonts.heading) || this.defaultFont,
+        body: (config.fonts && config.fonts.body) || this.defaultFont
+      },
+      font: null,
+      colors: this.resolveColors(config)
+    };
+  }
 
-    // ===== HEADER =====
-    doc.setFontSize(18);
-    doc.setFont(this.defaultFont, 'bold');
-    doc.setTextColor(...primaryColor);
-    doc.text(personalInfo.fullName || 'Your Name', margin, y);
-    y += 8;
+  /**
+   * Get a template's color palette, with defaults for missing colors
+   * @param {object} config - Template PDF configuration
+   */
+  resolveColors(config = {}) {
+    return {
+      primary: config.primaryColor || [41, 65, 114], // Dark blue
+      secondary: config.secondaryColor || config.primaryColor || [70, 130, 180],
+      text: config.textColor || [51, 51, 51],
+      lightGray: config.lightGray || [128, 128, 128],
+      accentBg: config.accentBg || [240, 244, 248]
+    };
+  }
 
-    doc.setFontSize(10);
-    doc.setFont(this.defaultFont, 'normal');
-    doc.setTextColor(...lightGray);
+  /**
+   * Draw inside a structure element when the PDF is tagged
+   * @param {object} ctx - Layout context
+   * @param {string} type - Structure type ('H1', 'P', 'L', 'LI', 'LBody', ...)
+   * @param {function} draw - Draws the element's content
+   */
+  tag(ctx, type, draw) {
+    return ctx.structure ? ctx.structure.wrap(type, draw) : draw();
+  }
 
-    if (personalInfo.email) {
-      doc.text(personalInfo.email, margin, y);
-      y += 5;
+  /**
+   * Draw decoration that screen readers should skip (fills, rules, page
+   * numbers) when the PDF is tagged
+   * @param {object} ctx - Layout context
+   * @param {function} draw - Draws the decoration
+   * @param {string} kind - 'Layout' | 'Pagination'
+   */
+  drawArtifact(ctx, draw, kind = 'Layout') {
+    return ctx.structure ? ctx.structure.markArtifact(draw, kind) : draw();
+  }
+
+  /**
+   * Draw one list item when the PDF is tagged; call inside an 'L' element
+   */
+  tagListItem(ctx, draw) {
+    return this.tag(ctx, 'LI', () => this.tag(ctx, 'LBody', draw));
+  }
+
+  /**
+   * Resolve a palette key or RGB array to an RGB array
+   */
+  resolveColor(ctx, color) {
+    return Array.isArray(color) ? color : (ctx.colors[color] || ctx.colors.text);
+  }
+
+  /**
+   * Set font size, style and color in one call
+   * @param {object} ctx - Layout context
+   * @param {number} size - Font size in points
+   * @param {string} style - 'normal' | 'bold' | 'italic' | 'bolditalic'
+   * @param {string|array} color - Palette key or RGB array
+   * @param {string} role - 'heading' | 'body', picks the template font
+   */
+  setTextStyle(ctx, size, style = 'normal', color = 'text', role = 'body') {
+    ctx.font = { family: ctx.fonts[role] || this.defaultFont, style };
+    ctx.doc.setFontSize(size * ctx.fontScale);
+    this.setFont(ctx.doc, ...this.resolveFont(ctx.font.family, style));
+    ctx.doc.setTextColor(...this.resolveColor(ctx, color));
+  }
+
+  /**
+   * Draw text with a font that has glyphs for it
+   * @param {object} ctx - Layout context
+   * @param {string|array} text - Text or wrapped lines
+   * @param {number} x - X position
+   * @param {number} y - Baseline of the first line
+   * @param {object} options - jsPDF text options, plus `direction: 'ltr'`
+   *   for values that read left-to-right in any document (emails, phone numbers)
+   *   and `links` ([{ text, url }]) to make parts of the text clickable
+   */
+  drawText(ctx, text, x, y, options = {}) {
+    const { direction, links, ...textOptions } = options;
+    this.useFontFor(ctx, text);
+
+    // Layouts are worked out left-to-right; right-to-left documents are
+    // mirrored at draw time
+    let align = options.align || 'left';
+    if (ctx.rtl && align !== 'center') {
+      align = align === 'right' ? 'left' : 'right';
     }
-    if (personalInfo.phone) {
-      doc.text(personalInfo.phone, margin, y);
-      y += 5;
+
+    const draw = () => ctx.doc.text(text, this.mirrorX(ctx, x), y, {
+      ...textOptions,
+      ...this.getBidiOptions(ctx.rtl && direction !== 'ltr'),
+      align
+    });
+    if (ctx.structure) {
+      ctx.structure.markContent(draw);
+    } else {
+      draw();
     }
-    if (personalInfo.location) {
-      doc.text(personalInfo.location, margin, y);
-      y += 5;
+
+    if (links && links.length > 0) {
+      this.addTextLinks(ctx, text, x, y, links, options.align || 'left');
     }
+  }
+
+  /**
+   * Add link annotations over the parts of drawn text that match each
+   * link's text. Uses the font the text was just drawn with.
+   * @param {object} ctx - Layout context
+   * @param {string|array} text - Text or wrapped lines, as drawn
+   * @param {number} x - X position, before mirroring
+   * @param {number} y - Baseline of the first line
+   * @param {array} links - [{ text, url }]
+   * @param {string} align - Alignment the text was drawn with, before mirroring
+   */
+  addTextLinks(ctx, text, x, y, links, align) {
+    const { doc } = ctx;
+    const lines = Array.isArray(text) ? text : [text];
+    const fontHeight = doc.getFontSize() / doc.internal.scaleFactor;
+    const lineHeight = fontHeight * doc.getLineHeightFactor();
 
-    y += 5;
+    lines.forEach((line, index) => {
+      const lineWidth = doc.getTextWidth(line);
+      let start = x;
+      if (align === 'center') start = x - lineWidth / 2;
+      if (align === 'right') start = x - lineWidth;
+      const lineLeft = this.mirrorX(ctx, start, lineWidth);
+      // Runs in a right-to-left line are placed from its right edge
+      const reversed = ctx.rtl && this.detectDirection(line) === 'rtl';
+      const baseline = y + index * lineHeight;
 
-    // Date
-    const today = new Date().toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
+      links.forEach(link => {
+        const offset = line.indexOf(link.text);
+        if (!link.url || offset === -1) return;
+        const before = doc.getTextWidth(line.slice(0, offset));
+        const width = doc.getTextWidth(link.text);
+        const left = reversed ? lineLeft + lineWidth - before - width : lineLeft + before;
+        doc.link(left, baseline - fontHeight * 0.8, width, fontHeight, { url: link.url });
+      });
     });
-    doc.text(today, margin, y);
-    y += 15;
+  }
 
-    // ===== BODY =====
-    doc.setFontSize(11);
-    doc.setFont(this.defaultFont, 'normal');
-    doc.setTextColor(...textColor);
+  /**
+   * Get the link target for a contact field, or null if it has none
+   * @param {string} field - Personal info field name
+   * @param {string} value - Field value
+   */
+  getContactLink(field, value) {
+    if (!value) return null;
+    switch (field) {
+      case 'email':
+        return `mailto:${value.trim()}`;
+      case 'phone':
+        return `tel:${value.replace(/[^\d+]/g, '')}`;
+      case 'linkedin':
+      case 'website':
+        return this.normalizeURL(value);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get links for the contact fields of a layout
+   * @param {object} personalInfo - Personal info object
+   * @param {array} fields - Contact field names
+   */
+  getContactLinks(personalInfo, fields) {
+    return fields
+      .map(field => ({ text: personalInfo[field], url: this.getContactLink(field, personalInfo[field]) }))
+      .filter(link => link.url);
+  }
 
-    // Split content into paragraphs
-    const paragraphs = content.split('\n\n').filter(p => p.trim());
+  /**
+   * Add https:// to web addresses typed without a scheme. Only web, mail
+   * and phone links are allowed, as for links in inline markup.
+   * @returns {string|null} URL, or null if the scheme is not allowed
+   */
+  normalizeURL(value) {
+    return this.richText.safeURL(value);
+  }
 
-    paragraphs.forEach((paragraph) => {
-      const lines = doc.splitTextToSize(paragraph.trim(), contentWidth);
-      doc.text(lines, margin, y);
-      y += lines.length * 5.5 + 5;
+  /**
+   * Find web addresses and email addresses in free text
+   * @param {string} text - Text to search
+   * @returns {array} [{ text, url }]
+   */
+  findLinks(text = '') {
+    const pattern = /\b(?:https?:\/\/|www\.)[^\s<>()]*[^\s<>().,;:!?'"]|[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gi;
+    return (text.match(pattern) || []).map(match => ({
+      text: match,
+      url: match.includes('@') && !match.includes('/') ? `mailto:${match}` : this.normalizeURL(match)
+    }));
+  }
+
+  /**
+   * PDF document properties for a resume
+   * @param {object} resumeData - Resume data object
+   */
+  getResumeProperties(resumeData) {
+    const personalInfo = resumeData.personalInfo || {};
+    const name = personalInfo.fullName || 'Resume';
+    return {
+      title: `${name} - Resume`,
+      subject: personalInfo.title || 'Resume',
+      author: name,
+      keywords: (resumeData.skills || []).join(', '),
+      creator: 'Resume Builder Pro'
+    };
+  }
+
+  /**
+   * Set document properties, and have viewers show the title instead of
+   * the file name
+   * @param {object} doc - jsPDF document
+   * @param {object} properties - { title, subject, author, keywords, creator }
+   */
+  setDocumentProperties(doc, properties) {
+    doc.setProperties(properties);
+    if (typeof doc.viewerPreferences === 'function') {
+      doc.viewerPreferences({ DisplayDocTitle: true });
+    }
+  }
+
+  /**
+   * Mirror an x position (and optional width) for right-to-left documents
+   * @param {object} ctx - Layout context
+   * @param {number} x - Left edge in left-to-right layout
+   * @param {number} width - Width of the shape starting at x
+   */
+  mirrorX(ctx, x, width = 0) {
+    return ctx.rtl ? ctx.pageWidth - x - width : x;
+  }
+
+  /**
+   * jsPDF bidi options: text is stored in logical (typed) order and
+   * reordered for display, so mixed-direction runs such as an English
+   * company name inside a Hebrew line come out in the right order
+   * @param {boolean} rtl - Whether the paragraph direction is right-to-left
+   */
+  getBidiOptions(rtl) {
+    return {
+      isInputVisual: false,
+      isOutputVisual: true,
+      isInputRtl: !!rtl,
+      isOutputRtl: false
+    };
+  }
+
+  /**
+   * Decide the writing direction of a document
+   * @param {string} setting - 'ltr' | 'rtl' | 'auto'
+   * @param {string} sample - Text used to detect the direction for 'auto'
+   */
+  resolveDirection(setting, sample = '') {
+    if (setting === 'rtl' || setting === 'ltr') return setting;
+    return this.detectDirection(sample);
+  }
+
+  /**
+   * Detect direction from the balance of right-to-left (Hebrew, Arabic,
+   * Syriac, Thaana, ...) and left-to-right letters
+   * @param {string} text - Text to inspect
+   */
+  detectDirection(text = '') {
+    const rtlCount = (text.match(/[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/g) || []).length;
+    const ltrCount = (text.match(/[A-Za-z\u00C0-\u024F\u0370-\u03FF\u0400-\u04FF]/g) || []).length;
+    return rtlCount > ltrCount ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Get the writing direction of a resume from its setting or content
+   * @param {object} resumeData - Resume data object
+   */
+  getResumeDirection(resumeData) {
+    const personalInfo = resumeData.personalInfo || {};
+    const sample = [personalInfo.fullName, personalInfo.title, resumeData.summary]
+      .concat((resumeData.experience || []).map(exp => exp.title))
+      .filter(Boolean)
+      .join(' ');
+    return this.resolveDirection(personalInfo.direction, sample);
+  }
+
+  /**
+   * Scale a vertical distance, given for 10pt text at single spacing, by the
+   * export font size and line spacing
+   * @param {object} ctx - Layout context
+   * @param {number} value - Distance in document units
+   */
+  space(ctx, value) {
+    return value * ctx.fontScale * ctx.lineSpacing;
+  }
+
+  /**
+   * Wrap text to a width, measured with the font it will be drawn in
+   */
+  splitText(ctx, text, width) {
+    this.useFontFor(ctx, text);
+    return ctx.doc.splitTextToSize(text, width);
+  }
+
+  /**
+   * Measure the width of a single line of text
+   */
+  measureText(ctx, text) {
+    this.useFontFor(ctx, text);
+    return ctx.doc.getTextWidth(text);
+  }
+
+  /**
+   * Combine the current font style with a run's bold / italic markup
+   * @param {string} base - Current style
+   * @param {object} run - Run from RichText.parse
+   */
+  combineFontStyles(base, run) {
+    const bold = run.bold || base.includes('bold');
+    const italic = run.italic || base.includes('italic');
+    if (bold && italic) return 'bolditalic';
+    if (bold) return 'bold';
+    return italic ? 'italic' : 'normal';
+  }
+
+  /**
+   * Wrap text with inline markup to a width. Words are measured in their
+   * own style, and a word is never broken where its style changes.
+   * Uses the current text style as the base style.
+   * @param {object} ctx - Layout context
+   * @param {string} text - Text with inline markup
+   * @param {number} width - Maximum line width
+   * @returns {array} Lines, each a list of segments ({ text, style, url })
+   */
+  wrapRichText(ctx, text, width) {
+    const baseFont = ctx.font;
+    const measure = (part, style) => {
+      ctx.font = { ...baseFont, style };
+      return this.measureText(ctx, part);
+    };
+
+    // Words are runs of non-space pieces; spaces are the break opportunities
+    const words = [];
+    let space = null;
+    this.richText.parse(text).forEach(run => {
+      const style = this.combineFontStyles(baseFont.style, run);
+      run.text.split(/(\s+)/).filter(Boolean).forEach(part => {
+        if (/^\s+$/.test(part)) {
+          space = { text: ' ', style, url: run.url, lineBreak: part.includes('\n') };
+          return;
+        }
+        const piece = { text: part, style, url: run.url, width: measure(part, style) };
+        if (words.length > 0 && !space) {
+          words[words.length - 1].pieces.push(piece);
+        } else {
+          words.push({ pieces: [piece], space });
+        }
+        space = null;
+      });
     });
 
-    return doc;
+    const lines = [];
+    let line = [];
+    let lineWidth = 0;
+    const newLine = () => {
+      if (line.length > 0) lines.push(line);
+      line = [];
+      lineWidth = 0;
+    };
+
+    words.forEach(word => {
+      const wordWidth = word.pieces.reduce((total, piece) => total + piece.width, 0);
+      const spaceWidth = word.space && line.length > 0 ? measure(' ', word.space.style) : 0;
+
+      if (line.length > 0 && ((word.space && word.space.lineBreak) || lineWidth + spaceWidth + wordWidth > width)) {
+        newLine();
+      } else if (spaceWidth > 0) {
+        line.push(word.space);
+        lineWidth += spaceWidth;
+      }
+
+      word.pieces.forEach(piece => {
+        // A single word wider than the line is split between characters
+        if (lineWidth + piece.width > width && piece.width > width) {
+          let chunk = '';
+          for (const char of piece.text) {
+            if (chunk && lineWidth + measure(chunk + char, piece.style) > width) {
+              line.push({ ...piece, text: chunk });
+              newLine();
+              chunk = '';
+            }
+            chunk += char;
+          }
+          line.push({ ...piece, text: chunk });
+          lineWidth += measure(chunk, piece.style);
+          return;
+        }
+        line.push(piece);
+        lineWidth += piece.width;
+      });
+    });
+    newLine();
+    ctx.font = baseFont;
+
+    // Merge neighbouring pieces that share a style and link
+    return lines.map(pieces => pieces.reduce((segments, piece) => {
+      const last = segments[segments.length - 1];
+      if (last && last.style === piece.style && last.url === piece.url) {
+        last.text += piece.text;
+      } else {
+        segments.push({ text: piece.text, style: piece.style, url: piece.url });
+      }
+      return segments;
+    }, []));
+  }
+
+  /**
+   * Draw lines from wrapRichText, one segment at a time, spaced like
+   * jsPDF spaces wrapped plain text
+   * @param {object} ctx - Layout context
+   * @param {array} lines - Lines of segments
+   * @param {number} x - X position
+   * @param {number} y - Baseline of the first line
+   */
+  drawRichText(ctx, lines, x, y) {
+    const { doc } = ctx;
+    const baseFont = ctx.font;
+    const lineGap = (doc.getFontSize() / doc.internal.scaleFactor) * doc.getLineHeightFactor();
+
+    lines.forEach((segments, index) => {
+      let cursor = x;
+      segments.forEach(segment => {
+        ctx.font = { ...baseFont, style: segment.style };
+        const links = segment.url ? [{ text: segment.text, url: segment.url }] : this.findLinks(segment.text);
+        this.drawText(ctx, segment.text, cursor, y + index * lineGap, { links });
+        cursor += this.measureText(ctx, segment.text);
+      });
+    });
+
+    ctx.font = baseFont;
+  }
+
+  /**
+   * Start a new page if the required space does not fit on the current one
+   * @param {object} ctx - Layout context
+   * @param {number} requiredSpace - Height needed in document units
+   */
+  checkPageBreak(ctx, requiredSpace) {
+    if (ctx.y + requiredSpace > ctx.pageHeight - ctx.margin) {
+      this.advancePage(ctx);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Move a layout context to the top of its next page. Columns share pages,
+   * so the page is only created if another column has not already done so.
+   * @param {object} ctx - Layout context or column
+   */
+  advancePage(ctx) {
+    const { doc } = ctx;
+    const nextPage = ctx.page + 1;
+
+    if (nextPage > doc.getNumberOfPages()) {
+      doc.addPage();
+      if (ctx.onNewPage) ctx.onNewPage(nextPage);
+    } else {
+      doc.setPage(nextPage);
+    }
+
+    ctx.page = nextPage;
+    ctx.y = ctx.margin;
+  }
+
+  /**
+   * Create a column with its own cursor inside a layout context
+   * @param {object} ctx - Layout context
+   * @param {number} x - Left edge of the column
+   * @param {number} width - Column width
+   * @param {object} overrides - Layout overrides for content in this column
+   */
+  createColumn(ctx, x, width, overrides = {}) {
+    const layout = {
+      ...ctx.layout,
+      ...overrides,
+      sectionTitle: { ...ctx.layout.sectionTitle, ...overrides.sectionTitle },
+      skills: { ...ctx.layout.skills, ...overrides.skills }
+    };
+    return { ...ctx, layout, x, width, y: ctx.margin, page: 1 };
+  }
+
+  /**
+   * Make a column's page the current page before drawing into it
+   */
+  activateColumn(column) {
+    if (column.doc.internal.getCurrentPageInfo().pageNumber !== column.page) {
+      column.doc.setPage(column.page);
+    }
+  }
+
+  /**
+   * Generate a resume PDF
+   * @param {object} resumeData - Resume data object
+   * @param {object} template - Template object, or its `pdf` configuration
+   * @param {object} settings - Export settings (see getDefaultExportSettings)
+   */
+  generateResume(resumeData, template = {}, settings = {}) {
+    return this.layoutResume(resumeData, template, settings).doc;
+  }
+
+  /**
+   * Lay out a resume and return its layout context, whose `sections` list
+   * records the pages each section was drawn on
+   * @param {object} resumeData - Resume data object
+   * @param {object} template - Template object, or its `pdf` configuration
+   * @param {object} settings - Export settings
+   */
+  layoutResume(resumeData, template = {}, settings = {}) {
+    const doc = this.createDocument({ format: this.resolveExportSettings(settings).format });
+    const ctx = this.createLayoutContext(doc, this.resolveTemplateConfig(template), settings);
+    ctx.rtl = this.getResumeDirection(resumeData) === 'rtl';
+    this.setDocumentProperties(doc, this.getResumeProperties(resumeData));
+
+    if (ctx.layout.sidebar) {
+      this.drawSidebarLayout(ctx, resumeData);
+    } else {
+      this.drawResumeHeader(ctx, resumeData.personalInfo || {});
+
+      ctx.layout.sections.forEach(sectionId => {
+        this.drawResumeSection(ctx, sectionId, resumeData);
+      });
+    }
+
+    this.drawRunningElements(ctx, resumeData.personalInfo || {});
+    return ctx;
+  }
+
+  /**
+   * Generate a resume that fits on a number of pages. The layout is redone
+   * with progressively tighter line spacing, then smaller text, then
+   * narrower margins, never going below the template's `pdf.fit` limits.
+   * @param {object} resumeData - Resume data object
+   * @param {object} template - Template object, or its `pdf` configuration
+   * @param {object} settings - Export settings; `fitPages` is the page budget
+   * @returns {object} { success, doc, pages, settings, overflow } where
+   *   `settings` are the values used and `overflow` lists the sections
+   *   ({ id, title }) that still run past the last allowed page
+   */
+  fitResume(resumeData, template = {}, settings = {}) {
+    const config = this.resolveTemplateConfig(template);
+    const limits = { ...this.getDefaultFitLimits(), ...config.fit };
+    const current = this.resolveExportSettings(settings);
+    const maxPages = current.fitPages || 1;
+    current.margin = current.margin || config.margin || this.margin;
+
+    // Each step loosens nothing the user already set below a limit
+    const steps = [
+      { key: 'lineSpacing', step: 0.05, min: Math.min(limits.minLineSpacing, current.lineSpacing) },
+      { key: 'fontSize', step: 0.25, min: Math.min(limits.minFontSize, current.fontSize) },
+      { key: 'margin', step: 1, min: Math.min(limits.minMargin, current.margin) }
+    ];
+
+    let ctx = this.layoutResume(resumeData, template, current);
+    while (ctx.doc.getNumberOfPages() > maxPages) {
+      const next = steps.find(({ key, step, min }) => current[key] - step >= min - 0.001);
+      if (!next) break;
+      current[next.key] = Math.round((current[next.key] - next.step) * 100) / 100;
+      ctx = this.layoutResume(resumeData, template, current);
+    }
+
+    const pages = ctx.doc.getNumberOfPages();
+    const overflow = ctx.sections
+      .filter(section => section.endPage > maxPages)
+      .map(section => ({ id: section.id, title: ctx.layout.titles[section.id] || section.id }));
+
+    return {
+      success: pages <= maxPages,
+      doc: ctx.doc,
+      pages,
+      settings: current,
+      overflow
+    };
+  }
+
+  /**
+   * Draw a two-column resume: a filled sidebar next to the main column.
+   * Each column keeps its own cursor and page, so either one can run onto
+   * more pages than the other.
+   * @param {object} ctx - Layout context
+   * @param {object} resumeData - Resume data object
+   */
+  drawSidebarLayout(ctx, resumeData) {
+    const { doc, layout } = ctx;
+    const sidebar = layout.sidebar;
+    const sidebarLeft = sidebar.side === 'right' ? ctx.pageWidth - sidebar.width : 0;
+
+    const paintSidebar = () => this.drawArtifact(ctx, () => {
+      doc.setFillColor(...ctx.colors.accentBg);
+      doc.rect(this.mirrorX(ctx, sidebarLeft, sidebar.width), 0, sidebar.width, ctx.pageHeight, 'F');
+    });
+    ctx.onNewPage = paintSidebar;
+    paintSidebar();
+
+    const side = this.createColumn(
+      ctx,
+      sidebarLeft + sidebar.padding,
+      sidebar.width - (sidebar.padding * 2),
+      { ...sidebar.layout, header: { ...layout.header, align: 'left', band: false } }
+    );
+
+    const mainX = sidebar.side === 'right' ? ctx.margin : sidebar.width + sidebar.gap;
+    const mainWidth = sidebar.side === 'right'
+      ? ctx.pageWidth - sidebar.width - sidebar.gap - ctx.margin
+      : ctx.pageWidth - mainX - ctx.margin;
+    const main = this.createColumn(ctx, mainX, mainWidth);
+
+    // Tagged PDFs read the header, then the main column, then the sidebar,
+    // whatever order they are drawn in
+    const regions = ctx.structure
+      ? { header: ctx.structure.create('Div'), main: ctx.structure.create('Div'), side: ctx.structure.create('Div') }
+      : null;
+    const within = (region, draw) => (regions ? ctx.structure.within(regions[region], draw) : draw());
+
+    if (sidebar.showHeader) {
+      within('header', () => this.drawResumeHeader(side, resumeData.personalInfo || {}));
+    }
+    within('side', () => sidebar.sections.forEach(sectionId => {
+      this.drawResumeSection(side, sectionId, resumeData);
+    }));
+
+    if (!sidebar.showHeader) {
+      this.activateColumn(main);
+      within('header', () => this.drawResumeHeader(main, resumeData.personalInfo || {}));
+    }
+    within('main', () => layout.sections.forEach(sectionId => {
+      this.drawResumeSection(main, sectionId, resumeData);
+    }));
+  }
+
+  /**
+   * Draw one resume section by id
+   * @param {object} ctx - Layout context
+   * @param {string} sectionId - Section id from the layout's `sections` list
+   * @param {object} resumeData - Resume data object
+   */
+  drawResumeSection(ctx, sectionId, resumeData) {
+    const value = sectionId === 'contact'
+      ? this.getContactItems(resumeData.personalInfo || {}, ctx.layout.header.contactFields)
+      : resumeData[sectionId];
+    const isEmpty = Array.isArray(value) ? value.length === 0 : !value;
+    if (isEmpty) return;
+
+    this.activateColumn(ctx);
+
+    const section = { id: sectionId, startPage: ctx.page };
+    ctx.sections.push(section);
+
+    this.tag(ctx, 'Sect', () => {
+      const title = ctx.layout.titles[sectionId];
+      if (title) this.drawSectionTitle(ctx, title, this.getSectionKeepHeight(ctx, sectionId, value));
+
+      switch (sectionId) {
+        case 'contact':
+          this.drawContactList(ctx, value, this.getContactLinks(resumeData.personalInfo || {}, ctx.layout.header.contactFields));
+          break;
+        case 'summary':
+          this.drawSummary(ctx, value);
+          break;
+        case 'experience':
+          value.forEach(exp => this.drawExperienceEntry(ctx, exp));
+          break;
+        case 'education':
+          value.forEach(edu => this.drawEducationEntry(ctx, edu));
+          break;
+        case 'skills':
+          this.drawSkills(ctx, value);
+          break;
+        case 'certifications':
+          this.tag(ctx, 'L', () => value.forEach(cert => this.drawCertification(ctx, cert)));
+          break;
+        default:
+          console.warn(`Unknown resume section: ${sectionId}`);
+      }
+    });
+
+    section.endPage = ctx.page;
+  }
+
+  /**
+   * Draw the name / title / contact block
+   */
+  drawResumeHeader(ctx, personalInfo) {
+    const { doc } = ctx;
+    const header = ctx.layout.header;
+    const centered = header.align === 'center';
+    const photo = this.getResumePhoto(ctx, personalInfo);
+    const photoSize = photo ? header.photoSize : 0;
+    const photoBeside = photo && header.photo === 'end';
+    // A photo beside the header takes its space from the text
+    const textWidth = photoBeside ? ctx.width - photoSize - this.space(ctx, 6) : ctx.width;
+    const x = centered ? ctx.x + textWidth / 2 : ctx.x;
+    const options = centered ? { align: 'center' } : {};
+
+    const title = header.showTitle ? personalInfo.title : '';
+    const contactLine = ctx.layout.sidebar
+      ? '' // Two-column layouts list contact details in their own section
+      : this.getContactItems(personalInfo, header.contactFields).join(header.contactSeparator);
+
+    const nameColor = header.band ? [255, 255, 255] : 'primary';
+    const mutedColor = header.band ? 'accentBg' : 'lightGray';
+
+    this.setTextStyle(ctx, header.nameSize, header.nameStyle, nameColor, 'heading');
+    const nameLines = this.splitText(ctx, personalInfo.fullName || 'Your Name', textWidth);
+    this.setTextStyle(ctx, 12, 'normal', header.band ? 'accentBg' : 'secondary', 'heading');
+    const titleLines = title ? this.splitText(ctx, title, textWidth) : [];
+    this.setTextStyle(ctx, 10, 'normal', mutedColor);
+    const contactLines = contactLine ? this.splitText(ctx, contactLine, textWidth) : [];
+
+    // Baselines are worked out first so a header band can be filled behind them.
+    // The photo's top lines up with the top of the name.
+    const photoTop = ctx.y - header.nameSize * ctx.fontScale * 0.25;
+    const nameY = photo && !photoBeside ? ctx.y + photoSize + this.space(ctx, 6) : ctx.y;
+    const nameBottom = nameY + (nameLines.length - 1) * this.space(ctx, header.nameSize * 0.42);
+    const titleY = nameBottom + this.space(ctx, header.nameSize * 0.3);
+    const titleBottom = titleY + Math.max(titleLines.length - 1, 0) * this.space(ctx, 5);
+    const contactY = title ? titleBottom + this.space(ctx, 7) : nameBottom + this.space(ctx, 10);
+    const textBottom = contactLines.length > 0
+      ? contactY + (contactLines.length - 1) * this.space(ctx, 5)
+      : (title ? titleBottom : nameBottom);
+    const bottomY = photoBeside ? Math.max(textBottom, photoTop + photoSize) : textBottom;
+
+    const onBand = header.band;
+    const bandPadding = onBand ? this.space(ctx, 8) : 0;
+    if (onBand) {
+      this.drawArtifact(ctx, () => {
+        doc.setFillColor(...ctx.colors.primary);
+        doc.rect(0, 0, ctx.pageWidth, bottomY + bandPadding, 'F');
+      });
+    }
+
+    if (photo) {
+      let photoX = centered ? ctx.x + (ctx.width - photoSize) / 2 : ctx.x;
+      if (photoBeside) photoX = ctx.x + ctx.width - photoSize;
+      this.drawArtifact(ctx, () => {
+        this.drawImage(doc, photo.image, this.mirrorX(ctx, photoX, photoSize), photoTop, photoSize, photoSize, photo.shape);
+      });
+    }
+
+    this.setTextStyle(ctx, header.nameSize, header.nameStyle, nameColor, 'heading');
+    this.tag(ctx, 'H1', () => this.drawText(ctx, nameLines, x, nameY, options));
+
+    if (title) {
+      this.setTextStyle(ctx, 12, 'normal', onBand ? 'accentBg' : 'secondary', 'heading');
+      this.drawText(ctx, titleLines, x, titleY, options);
+    }
+
+    if (contactLines.length > 0) {
+      this.setTextStyle(ctx, 10, 'normal', mutedColor);
+      this.drawText(ctx, contactLines, x, contactY, {
+        ...options,
+        links: this.getContactLinks(personalInfo, header.contactFields)
+      });
+    }
+
+    ctx.y = bottomY + bandPadding + this.space(ctx, header.spacingAfter);
+  }
+
+  /**
+   * Get the profile photo to show in a resume header, or null when there is
+   * none, the export leaves it out or the layout has no slot for it
+   * @param {object} ctx - Layout context
+   * @param {object} personalInfo - Personal info with `photo` ({ image, shape })
+   */
+  getResumePhoto(ctx, personalInfo) {
+    const photo = personalInfo.photo;
+    if (!photo || !photo.image || !ctx.includePhoto || ctx.layout.header.photo === 'none') return null;
+    return photo;
+  }
+
+  /**
+   * Draw an image, optionally clipped to an ellipse
+   * @param {object} doc - jsPDF document
+   * @param {string} image - PNG or JPEG data URL
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {string} shape - 'square' | 'circle'
+   */
+  drawImage(doc, image, x, y, width, height, shape = 'square') {
+    const format = /^data:image\/png/i.test(image) ? 'PNG' : 'JPEG';
+    if (shape !== 'circle') {
+      doc.addImage(image, format, x, y, width, height);
+      return;
+    }
+
+    doc.saveGraphicsState();
+    doc.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, null);
+    doc.clip();
+    doc.discardPath();
+    doc.addImage(image, format, x, y, width, height);
+    doc.restoreGraphicsState();
+  }
+
+  /**
+   * Draw the running header and footer on every page. Runs after layout so
+   * the footer can show the total page count.
+   * @param {object} ctx - Layout context
+   * @param {object} personalInfo - Personal info for the header
+   */
+  drawRunningElements(ctx, personalInfo) {
+    const { doc } = ctx;
+    const running = ctx.layout.running;
+    const pages = doc.getNumberOfPages();
+    if (!ctx.runningHeaders) return;
+
+    const left = ctx.margin;
+    const right = ctx.pageWidth - ctx.margin;
+    const headerY = ctx.margin / 2 + 1;
+    const footerY = ctx.pageHeight - ctx.margin / 2 + 1;
+    const name = personalInfo.fullName || 'Your Name';
+    const contact = running.contact
+      ? this.getContactItems(personalInfo, ctx.layout.header.contactFields).join('  ·  ')
+      : '';
+
+    for (let page = 1; page <= pages; page++) {
+      doc.setPage(page);
+
+      // Repeated on every page, so screen readers skip them
+      this.drawArtifact(ctx, () => {
+        if (running.header === 'all' || (running.header === 'continuation' && page > 1)) {
+          this.setTextStyle(ctx, 8, 'bold', 'lightGray', 'heading');
+          this.drawText(ctx, name, left, headerY);
+          if (contact) {
+            const nameWidth = this.measureText(ctx, name);
+            this.setTextStyle(ctx, 8, 'normal', 'lightGray');
+            const [contactLine] = this.splitText(ctx, contact, right - left - nameWidth - 10);
+            this.drawText(ctx, contactLine, right, headerY, {
+              align: 'right',
+              direction: 'ltr',
+              links: this.getContactLinks(personalInfo, ctx.layout.header.contactFields)
+            });
+          }
+        }
+
+        if (running.footer && pages > 1) {
+          const text = running.footer.replace('{page}', page).replace('{pages}', pages);
+          this.setTextStyle(ctx, 8, 'normal', 'lightGray');
+          this.drawText(ctx, text, ctx.pageWidth / 2, footerY, { align: 'center' });
+        }
+      }, 'Pagination');
+    }
+  }
+
+  /**
+   * Get the non-empty contact values in display order
+   * @param {object} personalInfo - Personal info object
+   * @param {array} fields - Contact field names
+   */
+  getContactItems(personalInfo, fields) {
+    return fields.map(field => personalInfo[field]).filter(Boolean);
+  }
+
+  /**
+   * Draw contact details one per line, for narrow columns
+   * @param {object} ctx - Layout context
+   * @param {array} items - Contact values
+   * @param {array} links - Links for the values ([{ text, url }])
+   */
+  drawContactList(ctx, items, links = []) {
+    this.setTextStyle(ctx, 9);
+    this.tag(ctx, 'L', () => items.forEach(item => {
+      const lines = this.splitText(ctx, item, ctx.width);
+      this.checkPageBreak(ctx, lines.length * this.space(ctx, 4.5));
+      this.tagListItem(ctx, () => this.drawText(ctx, lines, ctx.x, ctx.y, { direction: 'ltr', links }));
+      ctx.y += lines.length * this.space(ctx, 4.5) + this.space(ctx, 1);
+    }));
+    ctx.y += this.space(ctx, 5);
+  }
+
+  /**
+   * Draw a section title with the template's title style. The title moves
+   * to the next page with the section when it would otherwise be left
+   * alone at the bottom of a page.
+   * @param {object} ctx - Layout context
+   * @param {string} title - Section title
+   * @param {number} keepWithNext - Height of the section content that must
+   *   follow the title on the same page
+   */
+  drawSectionTitle(ctx, title, keepWithNext = 0) {
+    const { doc } = ctx;
+    const style = ctx.layout.sectionTitle;
+
+    this.checkPageBreak(ctx, this.space(ctx, style.rule ? 10 : 7) + keepWithNext);
+    this.setTextStyle(ctx, style.size, 'bold', style.color, 'heading');
+    this.tag(ctx, 'H2', () => {
+      this.drawText(ctx, style.uppercase ? title.toUpperCase() : title, ctx.x, ctx.y, { charSpace: style.charSpace });
+    });
+
+    if (style.rule) {
+      ctx.y += this.space(ctx, 2);
+      this.drawArtifact(ctx, () => {
+        doc.setDrawColor(...this.resolveColor(ctx, style.ruleColor));
+        doc.setLineWidth(0.5);
+        doc.line(this.mirrorX(ctx, ctx.x), ctx.y, this.mirrorX(ctx, ctx.x + ctx.width), ctx.y);
+      });
+      ctx.y += this.space(ctx, 8);
+    } else {
+      ctx.y += this.space(ctx, 7);
+    }
+  }
+
+  /**
+   * Height of the start of a section that must stay with its title:
+   * the first entry's keep-together block, or the first lines of text
+   * @param {object} ctx - Layout context
+   * @param {string} sectionId - Section id
+   * @param {*} value - Section data
+   */
+  getSectionKeepHeight(ctx, sectionId, value) {
+    switch (sectionId) {
+      case 'contact':
+        this.setTextStyle(ctx, 9);
+        return this.splitText(ctx, value[0], ctx.width).length * this.space(ctx, 4.5);
+      case 'summary':
+        this.setTextStyle(ctx, 10);
+        return Math.min(this.wrapRichText(ctx, value, ctx.width).length, 2) * this.space(ctx, 5);
+      case 'experience':
+        return this.getExperienceKeepHeight(ctx, value[0]);
+      case 'education':
+        return this.getEducationHeight(ctx, value[0]);
+      case 'skills':
+        return ctx.layout.skills.style === 'pills' ? 6 * ctx.fontScale : this.space(ctx, 5);
+      case 'certifications':
+        return this.getCertificationLines(ctx, value[0]).length * this.space(ctx, 5);
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Draw wrapped lines, breaking across pages between lines. At least two
+   * lines of a paragraph stay together at the bottom of a page (no orphans)
+   * and at the top of the next one (no widows).
+   * @param {object} ctx - Layout context
+   * @param {array} lines - Wrapped lines: strings, or segment lists from wrapRichText
+   * @param {number} x - X position
+   * @param {number} lineHeight - Cursor advance per line
+   * @param {object} options - drawText options, for plain lines
+   */
+  drawParagraph(ctx, lines, x, lineHeight, options = {}) {
+    let index = 0;
+
+    while (index < lines.length) {
+      const remaining = lines.length - index;
+      const fit = Math.floor((ctx.pageHeight - ctx.margin - ctx.y) / lineHeight);
+      let count = Math.min(fit, remaining);
+
+      if (count < remaining) {
+        if (remaining - count < 2) count = remaining - 2;
+        if (count < 2) count = 0;
+        // A paragraph taller than a whole page has to split somewhere
+        if (count === 0 && ctx.y <= ctx.margin) count = Math.max(fit, 1);
+      }
+
+      if (count > 0) {
+        const chunk = lines.slice(index, index + count);
+        if (Array.isArray(chunk[0])) {
+          this.drawRichText(ctx, chunk, x, ctx.y);
+        } else {
+          this.drawText(ctx, chunk, x, ctx.y, options);
+        }
+        ctx.y += chunk.length * lineHeight;
+        index += count;
+      }
+      if (index < lines.length) this.advancePage(ctx);
+    }
+  }
+
+  /**
+   * Draw the professional summary paragraph
+   */
+  drawSummary(ctx, summary) {
+    this.setTextStyle(ctx, 10);
+    const lines = this.wrapRichText(ctx, summary, ctx.width);
+    this.tag(ctx, 'P', () => this.drawParagraph(ctx, lines, ctx.x, this.space(ctx, 5)));
+    ctx.y += this.space(ctx, 8);
+  }
+
+  /**
+   * Get the x position and width of an entry body, leaving room for a
+   * date column or accent bar when the layout has one
+   * @param {object} ctx - Layout context
+   * @param {boolean} withBar - Whether the entry gets the layout's accent bar
+   */
+  getEntryColumns(ctx, withBar = false) {
+    const { layout } = ctx;
+    let bodyX = ctx.x;
+    if (layout.dates === 'left') bodyX += layout.dateColumnWidth;
+    if (withBar && layout.entryBar) bodyX += 4;
+    return { bodyX, bodyWidth: ctx.x + ctx.width - bodyX };
+  }
+
+  /**
+   * Draw an entry date, either right-aligned or in the left date column
+   */
+  drawEntryDate(ctx, text, y) {
+    if (!text || ctx.layout.dates === 'below') return;
+    this.setTextStyle(ctx, ctx.layout.dates === 'left' ? 9 : 10, 'normal', 'lightGray');
+    if (ctx.layout.dates === 'left') {
+      this.drawText(ctx, text, ctx.x, y);
+    } else {
+      this.drawText(ctx, text, ctx.x + ctx.width, y, { align: 'right' });
+    }
+  }
+
+  /**
+   * Wrap the bullets (or description) of an experience entry
+   * @param {object} ctx - Layout context
+   * @param {object} exp - Experience entry
+   * @param {number} bodyWidth - Width of the entry body
+   * @returns {object} { bullets: [lines], description: lines or null }, with
+   *   lines as returned by wrapRichText
+   */
+  getExperienceBody(ctx, exp, bodyWidth) {
+    this.setTextStyle(ctx, 10);
+
+    if (exp.achievements && exp.achievements.length > 0) {
+      return {
+        bullets: exp.achievements.map(achievement => this.wrapRichText(ctx, `• ${achievement}`, bodyWidth - 5)),
+        description: null
+      };
+    }
+
+    return {
+      bullets: [],
+      description: exp.description ? this.wrapRichText(ctx, exp.description, bodyWidth) : null
+    };
+  }
+
+  /**
+   * Height of an experience entry's header plus its first two bullets (or
+   * description lines), which are kept on the same page
+   */
+  getExperienceKeepHeight(ctx, exp) {
+    const { bodyWidth } = this.getEntryColumns(ctx, true);
+    const { bullets, description } = this.getExperienceBody(ctx, exp, bodyWidth);
+    const bodyLines = description
+      ? Math.min(description.length, 2)
+      : bullets.slice(0, 2).reduce((total, bullet) => total + bullet.length, 0);
+
+    return this.space(ctx, 5 + 6) + bodyLines * this.space(ctx, 4.5);
+  }
+
+  /**
+   * Draw a single work experience entry
+   */
+  drawExperienceEntry(ctx, exp) {
+    this.tag(ctx, 'Div', () => this.drawExperienceContent(ctx, exp));
+  }
+
+  /**
+   * Draw the contents of a work experience entry. The job title comes
+   * before the date in the reading order of tagged PDFs.
+   */
+  drawExperienceContent(ctx, exp) {
+    const { doc } = ctx;
+    const { bodyX, bodyWidth } = this.getEntryColumns(ctx, true);
+    const lineHeight = this.space(ctx, 4.5);
+
+    this.checkPageBreak(ctx, this.getExperienceKeepHeight(ctx, exp));
+    const startY = ctx.y;
+    const startPage = doc.internal.getCurrentPageInfo().pageNumber;
+
+    // Job title and dates
+    this.setTextStyle(ctx, 11, 'bold');
+    this.tag(ctx, 'H3', () => this.drawText(ctx, exp.title || 'Job Title', bodyX, ctx.y));
+    this.drawEntryDate(ctx, `${exp.startDate || ''} - ${exp.endDate || 'Present'}`, ctx.y);
+    ctx.y += this.space(ctx, 5);
+
+    // Company and location
+    this.setTextStyle(ctx, 10, 'italic', 'lightGray');
+    const companyLine = [exp.company, exp.location].filter(Boolean).join(' | ');
+    this.drawText(ctx, companyLine, bodyX, ctx.y);
+    ctx.y += this.space(ctx, 6);
+
+    // Description / Achievements
+    const { bullets, description } = this.getExperienceBody(ctx, exp, bodyWidth);
+
+    // A bullet's wrapped lines are never split across pages
+    if (bullets.length > 0) {
+      this.tag(ctx, 'L', () => bullets.forEach(bullet => {
+        this.checkPageBreak(ctx, bullet.length * lineHeight);
+        this.tagListItem(ctx, () => this.drawRichText(ctx, bullet, bodyX + 3, ctx.y));
+        ctx.y += bullet.length * lineHeight;
+      }));
+    }
+
+    if (description) {
+      this.tag(ctx, 'P', () => this.drawParagraph(ctx, description, bodyX, lineHeight));
+    }
+
+    if (ctx.layout.entryBar) {
+      // Only the part of the entry on the current page gets a bar
+      const samePage = doc.internal.getCurrentPageInfo().pageNumber === startPage;
+      const barX = this.mirrorX(ctx, bodyX - 4);
+      this.drawArtifact(ctx, () => {
+        doc.setDrawColor(...ctx.colors.accentBg);
+        doc.setLineWidth(1);
+        doc.line(barX, (samePage ? startY : ctx.margin) - this.space(ctx, 4), barX, ctx.y - this.space(ctx, 2));
+      });
+    }
+
+    ctx.y += this.space(ctx, 6);
+  }
+
+  /**
+   * Wrap the parts of an education entry
+   */
+  getEducationLines(ctx, edu) {
+    const { bodyWidth } = this.getEntryColumns(ctx);
+    const compact = ctx.layout.dates === 'below';
+
+    this.setTextStyle(ctx, compact ? 10 : 11, 'bold');
+    const degreeLines = this.splitText(ctx, edu.degree || 'Degree', bodyWidth);
+    this.setTextStyle(ctx, compact ? 9 : 10, 'italic', 'lightGray');
+    const institutionLines = this.splitText(ctx, edu.institution || 'Institution', bodyWidth);
+
+    return { degreeLines, institutionLines };
+  }
+
+  /**
+   * Height of an education entry, which is always kept on one page
+   */
+  getEducationHeight(ctx, edu) {
+    const { degreeLines, institutionLines } = this.getEducationLines(ctx, edu);
+    const yearLines = ctx.layout.dates === 'below' && edu.year ? 1 : 0;
+    return degreeLines.length * this.space(ctx, 5) +
+      (institutionLines.length + yearLines) * this.space(ctx, 4.5);
+  }
+
+  /**
+   * Draw a single education entry
+   */
+  drawEducationEntry(ctx, edu) {
+    this.tag(ctx, 'Div', () => this.drawEducationContent(ctx, edu));
+  }
+
+  /**
+   * Draw the contents of an education entry, degree first
+   */
+  drawEducationContent(ctx, edu) {
+    const { bodyX } = this.getEntryColumns(ctx);
+    const compact = ctx.layout.dates === 'below';
+
+    this.checkPageBreak(ctx, this.getEducationHeight(ctx, edu));
+    const { degreeLines, institutionLines } = this.getEducationLines(ctx, edu);
+
+    this.setTextStyle(ctx, compact ? 10 : 11, 'bold');
+    this.tag(ctx, 'H3', () => this.drawText(ctx, degreeLines, bodyX, ctx.y));
+    this.drawEntryDate(ctx, edu.year || '', ctx.y);
+    ctx.y += degreeLines.length * this.space(ctx, 5);
+
+    this.setTextStyle(ctx, compact ? 9 : 10, 'italic', 'lightGray');
+    this.drawText(ctx, institutionLines, bodyX, ctx.y);
+    ctx.y += institutionLines.length * this.space(ctx, 4.5);
+
+    if (compact && edu.year) {
+      this.setTextStyle(ctx, 9, 'normal', 'lightGray');
+      this.drawText(ctx, edu.year, bodyX, ctx.y);
+      ctx.y += this.space(ctx, 4.5);
+    }
+
+    ctx.y += this.space(ctx, 3.5);
+  }
+
+  /**
+   * Draw the skills list, inline or as pills
+   */
+  drawSkills(ctx, skills) {
+    const { doc } = ctx;
+    const style = ctx.layout.skills;
+
+    if (style.style === 'pills') {
+      // Pills grow with the text; only the gap between rows follows line spacing
+      const pillHeight = 6 * ctx.fontScale;
+      const padding = 3 * ctx.fontScale;
+      const gap = this.space(ctx, 2);
+      let x = ctx.x;
+
+      this.setTextStyle(ctx, 9, 'normal', 'primary');
+      doc.setFillColor(...ctx.colors.accentBg);
+      this.checkPageBreak(ctx, pillHeight);
+
+      this.tag(ctx, 'L', () => skills.forEach(skill => {
+        const pillWidth = this.measureText(ctx, skill) + padding * 2;
+        if (x + pillWidth > ctx.x + ctx.width && x > ctx.x) {
+          x = ctx.x;
+          ctx.y += pillHeight + gap;
+          this.checkPageBreak(ctx, pillHeight);
+        }
+        this.drawArtifact(ctx, () => {
+          doc.roundedRect(this.mirrorX(ctx, x, pillWidth), ctx.y - 0.7 * pillHeight, pillWidth, pillHeight, padding, padding, 'F');
+        });
+        this.tagListItem(ctx, () => this.drawText(ctx, skill, x + padding, ctx.y));
+        x += pillWidth + gap;
+      }));
+
+      ctx.y += pillHeight + this.space(ctx, 5);
+      return;
+    }
+
+    this.setTextStyle(ctx, 10);
+    const lines = this.splitText(ctx, skills.join(style.separator), ctx.width);
+    this.tag(ctx, 'P', () => this.drawParagraph(ctx, lines, ctx.x, this.space(ctx, 5)));
+    ctx.y += this.space(ctx, 5);
+  }
+
+  /**
+   * Draw a single certification line
+   */
+  drawCertification(ctx, cert) {
+    const certText = this.getCertificationText(cert);
+    const links = this.findLinks(certText);
+    const url = cert.url && this.normalizeURL(cert.url);
+    if (url && cert.name) {
+      links.push({ text: cert.name, url });
+    }
+
+    const lines = this.getCertificationLines(ctx, cert);
+    this.checkPageBreak(ctx, lines.length * this.space(ctx, 5));
+    this.tagListItem(ctx, () => this.drawText(ctx, lines, ctx.x, ctx.y, { links }));
+    ctx.y += lines.length * this.space(ctx, 5);
+  }
+
+  /**
+   * Get the display text of a certification
+   */
+  getCertificationText(cert) {
+    return `• ${cert.name}${cert.issuer ? ` - ${cert.issuer}` : ''}${cert.year ? ` (${cert.year})` : ''}`;
+  }
+
+  /**
+   * Wrap a certification line (sets the certification text style)
+   */
+  getCertificationLines(ctx, cert) {
+    this.setTextStyle(ctx, 10);
+    return this.splitText(ctx, this.getCertificationText(cert), ctx.width);
+  }
+
+  /**
+   * Format a letter date, defaulting to today
+   * @param {string} date - Date as typed, or empty for today
+   */
+  getLetterDate(date) {
+    if (date && date.trim()) return date.trim();
+    return new Date().toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  }
+
+  /**
+   * Generate a cover letter PDF with the same parts as the cover letter
+   * template: sender, date, recipient block, greeting, body, closing and
+   * signature. Long letters continue onto more pages.
+   * @param {string|object} letter - Cover letter content, or
+   *   { content, date, recipient: { name, title, company, address }, greeting, closing }
+   * @param {object} personalInfo - Sender's info
+   * @param {object} template - Template configuration
+   * @param {object} settings - Export settings (see getDefaultExportSettings)
+   */
+  generateCoverLetter(letter, personalInfo = {}, template = {}, settings = {}) {
+    const { content = '', date, recipient = {}, greeting, closing } = typeof letter === 'string' ? { content: letter } : letter;
+    const doc = this.createDocument({ format: this.resolveExportSettings(settings).format });
+    const ctx = this.createLayoutContext(doc, this.resolveTemplateConfig(template), settings);
+    const { margin } = ctx;
+    ctx.rtl = this.resolveDirection(personalInfo.direction, `${personalInfo.fullName || ''} ${content}`) === 'rtl';
+    this.setDocumentProperties(doc, {
+      title: `${personalInfo.fullName || 'Cover'} - Cover Letter`,
+      subject: recipient.company ? `Cover Letter for ${recipient.company}` : 'Cover Letter',
+      author: personalInfo.fullName || '',
+      creator: 'Resume Builder Pro'
+    });
+
+    // ===== HEADER =====
+    this.setTextStyle(ctx, 18, 'bold', 'primary', 'heading');
+    this.tag(ctx, 'H1', () => this.drawText(ctx, personalInfo.fullName || 'Your Name', margin, ctx.y));
+    ctx.y += this.space(ctx, 8);
+
+    this.setTextStyle(ctx, 10, 'normal', 'lightGray');
+
+    if (personalInfo.email) {
+      this.drawText(ctx, personalInfo.email, margin, ctx.y, {
+        direction: 'ltr',
+        links: this.getContactLinks(personalInfo, ['email'])
+      });
+      ctx.y += this.space(ctx, 5);
+    }
+    if (personalInfo.phone) {
+      this.drawText(ctx, personalInfo.phone, margin, ctx.y, {
+        direction: 'ltr',
+        links: this.getContactLinks(personalInfo, ['phone'])
+      });
+      ctx.y += this.space(ctx, 5);
+    }
+    if (personalInfo.location) {
+      this.drawText(ctx, personalInfo.location, margin, ctx.y);
+      ctx.y += this.space(ctx, 5);
+    }
+
+    ctx.y += this.space(ctx, 5);
+
+    // Date
+    this.drawText(ctx, this.getLetterDate(date), margin, ctx.y);
+    ctx.y += this.space(ctx, 10);
+
+    // ===== RECIPIENT =====
+    const recipientLines = [recipient.name, recipient.title, recipient.company, ...(recipient.address || '').split('\n')]
+      .map(line => (line || '').trim())
+      .filter(Boolean);
+
+    if (recipientLines.length > 0) {
+      this.setTextStyle(ctx, 11);
+      const lines = this.splitText(ctx, recipientLines.join('\n'), ctx.width);
+      this.tag(ctx, 'P', () => this.drawParagraph(ctx, lines, margin, this.space(ctx, 5), this.getLineHeightOptions(ctx, 5)));
+      ctx.y += this.space(ctx, 5);
+    }
+
+    // ===== BODY =====
+    this.setTextStyle(ctx, 11);
+    const lineHeight = this.space(ctx, 5.5);
+    const lineOptions = this.getLineHeightOptions(ctx, 5.5);
+
+    this.checkPageBreak(ctx, lineHeight * 3);
+    this.drawText(ctx, greeting || 'Dear Hiring Manager,', margin, ctx.y);
+    ctx.y += lineHeight + this.space(ctx, 5);
+
+    const paragraphs = content.split(/\n\s*\n/).filter(p => p.trim());
+    paragraphs.forEach((paragraph) => {
+      const lines = this.splitText(ctx, paragraph.trim(), ctx.width);
+      this.tag(ctx, 'P', () => this.drawParagraph(ctx, lines, margin, lineHeight, lineOptions));
+      ctx.y += this.space(ctx, 5);
+    });
+
+    // Closing and signature stay together
+    const signature = this.getSignatureImage(doc, personalInfo.signature);
+    const signatureSpace = signature ? signature.height + this.space(ctx, 4) : this.space(ctx, 10);
+    this.checkPageBreak(ctx, lineHeight * 2 + signatureSpace);
+    this.drawText(ctx, closing || 'Sincerely,', margin, ctx.y);
+    ctx.y += lineHeight;
+
+    if (signature) {
+      const x = this.mirrorX(ctx, margin + signature.offset, signature.width);
+      this.drawArtifact(ctx, () => {
+        doc.addImage(signature.image, 'PNG', x, ctx.y - this.space(ctx, 2), signature.width, signature.height);
+      });
+    }
+    ctx.y += signatureSpace;
+
+    this.setTextStyle(ctx, 11, 'bold');
+    this.drawText(ctx, personalInfo.fullName || 'Your Name', margin, ctx.y);
+
+    this.drawRunningElements(ctx, personalInfo);
+    return doc;
+  }
+
+  /**
+   * Size a signature image for the page
+   * @param {object} doc - jsPDF document
+   * @param {object} signature - { image: PNG data URL, width, offset } with
+   *   the width and the offset from the margin in mm
+   * @returns {object|null} { image, width, height, offset }, or null without an image
+   */
+  getSignatureImage(doc, signature) {
+    if (!signature || !signature.image) return null;
+    const { width: pixelWidth, height: pixelHeight } = doc.getImageProperties(signature.image);
+    const width = parseFloat(signature.width) || 45;
+    return {
+      image: signature.image,
+      width,
+      height: width * (pixelHeight / pixelWidth),
+      offset: parseFloat(signature.offset) || 0
+    };
+  }
+
+  /**
+   * drawText options that space wrapped lines by a cursor advance, for the
+   * current font size
+   * @param {object} ctx - Layout context
+   * @param {number} lineHeight - Unscaled line advance (as passed to space())
+   */
+  getLineHeightOptions(ctx, lineHeight) {
+    const fontHeight = ctx.doc.getFontSize() / ctx.doc.internal.scaleFactor;
+    return { lineHeightFactor: this.space(ctx, lineHeight) / fontHeight };
+  }
+
+  /**
+   * Generate a PDF from rendered template HTML, so the download matches the
+   * on-screen preview. The markup is laid out off-screen by the browser, then
+   * text is written as real PDF text (selectable and searchable) at the
+   * positions the browser chose, with backgrounds, borders and list bullets
+   * redrawn as vector shapes. Requires a browser DOM.
+   * @param {string} html - Rendered template markup (e.g. from TemplateEngine.render)
+   * @param {string} css - Template CSS
+   * @param {object} options - PDF options (format, orientation, margin), and
+   *   `properties` for the document title, author, etc.
+   */
+  async generateFromHTML(html, css = '', options = {}) {
+    const doc = this.createDocument(options);
+    if (options.properties) this.setDocumentProperties(doc, options.properties);
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = options.margin !== undefined ? options.margin : 10;
+    const pxToMm = 25.4 / 96;
+    const pageHeightPx = (pageHeight - margin * 2) / pxToMm;
+
+    // Lay the markup out at the printable width, in CSS pixels
+    const host = document.createElement('div');
+    host.style.cssText = `position: absolute; left: -10000px; top: 0; background: #fff;
+      width: ${(pageWidth - margin * 2) / pxToMm}px;`;
+    host.innerHTML = `<style>${css}</style>${html}`;
+    document.body.appendChild(host);
+
+    try {
+      if (document.fonts && document.fonts.ready) await document.fonts.ready;
+
+      const drawables = this.collectHTMLDrawables(host);
+      const mapY = this.createHTMLPaginator(drawables.lines, pageHeightPx);
+
+      // Split a vertical span into per-page pieces after pagination
+      const pieces = (top, height) => {
+        const start = mapY(top);
+        const end = mapY(top + height);
+        const result = [];
+        for (let page = Math.floor(start / pageHeightPx); page * pageHeightPx < end; page++) {
+          const pageTop = page * pageHeightPx;
+          const from = Math.max(start, pageTop);
+          const to = Math.min(end, pageTop + pageHeightPx);
+          if (to > from) {
+            result.push({ page, y: from - pageTop, height: to - from, first: from === start, last: to === end });
+          }
+        }
+        return result;
+      };
+
+      const toMm = px => margin + px * pxToMm;
+      const goToPage = (page) => {
+        while (doc.getNumberOfPages() < page + 1) doc.addPage();
+        doc.setPage(page + 1);
+      };
+
+      // Backgrounds and borders first, so text lands on top of them
+      drawables.boxes.forEach(box => {
+        pieces(box.top, box.height).forEach(piece => {
+          goToPage(piece.page);
+          const x = toMm(box.left);
+          const y = toMm(piece.y);
+          const w = box.width * pxToMm;
+          const h = piece.height * pxToMm;
+
+          if (box.fill) {
+            doc.setFillColor(...box.fill);
+            const radius = Math.min(box.radius * pxToMm, w / 2, h / 2);
+            if (radius > 0) {
+              doc.roundedRect(x, y, w, h, radius, radius, 'F');
+            } else {
+              doc.rect(x, y, w, h, 'F');
+            }
+          }
+
+          box.borders.forEach(border => {
+            if (border.side === 'Top' && !piece.first) return;
+            if (border.side === 'Bottom' && !piece.last) return;
+            doc.setDrawColor(...border.color);
+            doc.setLineWidth(border.width * pxToMm);
+            const inset = (border.width * pxToMm) / 2;
+            if (border.side === 'Top') doc.line(x, y + inset, x + w, y + inset);
+            if (border.side === 'Bottom') doc.line(x, y + h - inset, x + w, y + h - inset);
+            if (border.side === 'Left') doc.line(x + inset, y, x + inset, y + h);
+            if (border.side === 'Right') doc.line(x + w - inset, y, x + w - inset, y + h);
+          });
+        });
+      });
+
+      drawables.images.forEach(image => {
+        const [piece] = pieces(image.top, image.height);
+        if (!piece) return;
+        goToPage(piece.page);
+        this.drawImage(doc, image.src, toMm(image.left), toMm(piece.y), image.width * pxToMm, image.height * pxToMm, image.shape);
+      });
+
+      drawables.lines.forEach(line => {
+        const [piece] = pieces(line.top, line.height);
+        if (!piece) return;
+        goToPage(piece.page);
+
+        const font = line.font;
+        // Positions are already visual, so only the bidi reordering applies
+        const lineCtx = { doc, font: { family: font.family, style: font.style } };
+        doc.setFontSize(font.sizePx * 0.75);
+        doc.setTextColor(...font.color);
+        this.useFontFor(lineCtx, line.text);
+        doc.text(line.text, toMm(line.left), toMm(piece.y + line.height * 0.8), {
+          charSpace: font.letterSpacingPx * pxToMm,
+          ...this.getBidiOptions(font.rtl)
+        });
+
+        if (line.href) {
+          doc.link(toMm(line.left), toMm(piece.y), line.width * pxToMm, line.height * pxToMm, { url: line.href });
+        }
+      });
+    } finally {
+      host.remove();
+    }
+
+    doc.setPage(1);
+    return doc;
+  }
+
+  /**
+   * Walk laid-out markup and collect what needs drawing: boxes with a
+   * background or border, embedded images, and text split into the
+   * browser's line boxes.
+   * Positions are CSS pixels relative to the root element.
+   * @param {Element} root - Laid-out container element
+   */
+  collectHTMLDrawables(root) {
+    const origin = root.getBoundingClientRect();
+    const boxes = [];
+    const lines = [];
+    const images = [];
+
+    const walk = (element, backdrop, href) => {
+      const style = window.getComputedStyle(element);
+      if (style.display === 'none') return;
+      const link = (element.tagName === 'A' && element.getAttribute('href')) || href;
+
+      const rect = element.getBoundingClientRect();
+      const fill = this.parseCSSColor(style.backgroundColor, backdrop) ||
+        this.parseCSSGradient(style.backgroundImage, backdrop);
+      const borders = ['Top', 'Right', 'Bottom', 'Left']
+        .map(side => ({
+          side,
+          width: parseFloat(style[`border${side}Width`]) || 0,
+          style: style[`border${side}Style`],
+          color: this.parseCSSColor(style[`border${side}Color`], fill || backdrop)
+        }))
+        .filter(border => border.width > 0 && border.color && border.style !== 'none' && border.style !== 'hidden');
+
+      const visible = style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0;
+      if (visible && (fill || borders.length > 0)) {
+        boxes.push({
+          left: rect.left - origin.left,
+          top: rect.top - origin.top,
+          width: rect.width,
+          height: rect.height,
+          fill,
+          radius: parseFloat(style.borderTopLeftRadius) || 0,
+          borders
+        });
+      }
+
+      // Only embedded images can be copied into the PDF
+      if (visible && element.tagName === 'IMG' && /^data:image\/(png|jpe?g)/i.test(element.src)) {
+        const radius = style.borderTopLeftRadius;
+        const radiusPx = radius.endsWith('%') ? (parseFloat(radius) / 100) * rect.width : parseFloat(radius) || 0;
+        images.push({
+          left: rect.left - origin.left,
+          top: rect.top - origin.top,
+          width: rect.width,
+          height: rect.height,
+          src: element.src,
+          shape: radiusPx >= Math.min(rect.width, rect.height) / 2 ? 'circle' : 'square'
+        });
+      }
+
+      let bulletPending = element.tagName === 'LI' && style.listStyleType !== 'none';
+
+      element.childNodes.forEach(child => {
+        if (child.nodeType === Node.ELEMENT_NODE) {
+          if (!['STYLE', 'SCRIPT', 'TEMPLATE'].includes(child.tagName)) {
+            const childCountBefore = lines.length;
+            walk(child, fill || backdrop, link);
+            if (bulletPending && lines.length > childCountBefore) {
+              lines.splice(childCountBefore, 0, this.createHTMLBullet(lines[childCountBefore]));
+              bulletPending = false;
+            }
+          }
+        } else if (child.nodeType === Node.TEXT_NODE && style.visibility !== 'hidden') {
+          const measured = this.measureHTMLText(child, style, origin)
+            .map(line => (link ? { ...line, href: link } : line));
+          if (bulletPending && measured.length > 0) {
+            lines.push(this.createHTMLBullet(measured[0]));
+            bulletPending = false;
+          }
+          lines.push(...measured);
+        }
+      });
+    };
+
+    walk(root, [255, 255, 255], null);
+    return { boxes, lines, images };
+  }
+
+  /**
+   * Split a text node into line boxes by measuring each word's position
+   * @param {Text} node - Text node
+   * @param {CSSStyleDeclaration} style - Computed style of the parent element
+   * @param {DOMRect} origin - Root element rect
+   */
+  measureHTMLText(node, style, origin) {
+    const text = node.textContent;
+    if (!text.trim()) return [];
+
+    const font = {
+      family: this.mapCSSFontFamily(style.fontFamily),
+      style: this.mapCSSFontStyle(style),
+      sizePx: parseFloat(style.fontSize) || 16,
+      color: this.parseCSSColor(style.color, [255, 255, 255]) || [0, 0, 0],
+      letterSpacingPx: parseFloat(style.letterSpacing) || 0,
+      rtl: style.direction === 'rtl'
+    };
+
+    const range = document.createRange();
+    const lines = [];
+    const wordRegex = /\S+/g;
+    let match;
+
+    while ((match = wordRegex.exec(text)) !== null) {
+      range.setStart(node, match.index);
+      range.setEnd(node, match.index + match[0].length);
+      const rect = range.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0) continue;
+
+      const current = lines[lines.length - 1];
+      const top = rect.top - origin.top;
+      const left = rect.left - origin.left;
+      if (current && Math.abs(current.top - top) < rect.height / 2) {
+        current.words.push(match[0]);
+        current.left = Math.min(current.left, left);
+        current.right = Math.max(current.right, left + rect.width);
+      } else {
+        lines.push({ left, right: left + rect.width, top, height: rect.height, words: [match[0]] });
+      }
+    }
+
+    return lines
+      .map(line => ({
+        left: line.left,
+        width: line.right - line.left,
+        top: line.top,
+        height: line.height,
+        font,
+        text: this.applyCSSTextTransform(line.words.join(' '), style.textTransform)
+          // Decorative emoji icons have no glyphs in the PDF fonts
+          .replace(/[\p{Extended_Pictographic}\uFE0F]/gu, '')
+          .trim()
+      }))
+      .filter(line => line.text);
+  }
+
+  /**
+   * Create a list bullet drawable next to the first line of a list item
+   */
+  createHTMLBullet(line) {
+    return {
+      ...line,
+      left: line.font.rtl
+        ? line.left + line.width + line.font.sizePx * 0.4
+        : line.left - line.font.sizePx * 0.9,
+      text: '•',
+      href: null
+    };
+  }
+
+  /**
+   * Work out where page breaks fall. A line that would straddle a page
+   * boundary moves to the top of the next page and pushes everything below
+   * it down by the same amount. Returns a function mapping a layout y
+   * position to its position on the continuous run of pages.
+   * @param {array} lines - Measured text lines
+   * @param {number} pageHeightPx - Printable page height in CSS pixels
+   */
+  createHTMLPaginator(lines, pageHeightPx) {
+    const shifts = [];
+    let offset = 0;
+
+    [...lines].sort((a, b) => a.top - b.top).forEach(line => {
+      const top = line.top + offset;
+      const pageEnd = (Math.floor(top / pageHeightPx) + 1) * pageHeightPx;
+      if (top + line.height > pageEnd && line.height < pageHeightPx) {
+        offset += pageEnd - top;
+        shifts.push({ from: line.top, offset });
+      }
+    });
+
+    return (y) => {
+      let shift = 0;
+      for (const entry of shifts) {
+        if (y < entry.from) break;
+        shift = entry.offset;
+      }
+      return y + shift;
+    };
+  }
+
+  /**
+   * Parse a CSS rgb()/rgba() color, blending transparency over a backdrop.
+   * Returns null for fully transparent colors.
+   * @param {string} value - Computed CSS color
+   * @param {array} backdrop - RGB color underneath
+   */
+  parseCSSColor(value, backdrop = [255, 255, 255]) {
+    const match = /rgba?\(([^)]+)\)/.exec(value || '');
+    if (!match) return null;
+
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    if (a === 0) return null;
+    return [r, g, b].map((channel, i) => Math.round(channel * a + backdrop[i] * (1 - a)));
+  }
+
+  /**
+   * Approximate a CSS gradient background by its first color stop
+   */
+  parseCSSGradient(value, backdrop) {
+    if (!value || !value.includes('gradient')) return null;
+    const match = /rgba?\([^)]+\)/.exec(value);
+    return match ? this.parseCSSColor(match[0], backdrop) : null;
+  }
+
+  /**
+   * Map a CSS font-family list to one of the PDF's font families,
+   * preferring a registered font with the same name
+   */
+  mapCSSFontFamily(fontFamily = '') {
+    const normalize = name => name.replace(/['"\s-]/g, '').toLowerCase();
+    const families = fontFamily.split(',').map(normalize);
+    const registered = Array.from(this.fonts.keys()).find(name => families.includes(normalize(name)));
+    if (registered) return registered;
+
+    const first = fontFamily.split(',')[0].replace(/['"]/g, '').trim().toLowerCase();
+    if (/mono|courier|consol/.test(first)) return 'courier';
+    if (/georgia|times|garamond|^serif$/.test(first)) return 'times';
+    return this.defaultFont;
+  }
+
+  /**
+   * Map CSS font-weight and font-style to a jsPDF font style
+   */
+  mapCSSFontStyle(style) {
+    const bold = style.fontWeight === 'bold' || parseInt(style.fontWeight, 10) >= 600;
+    const italic = style.fontStyle === 'italic' || style.fontStyle === 'oblique';
+    if (bold && italic) return 'bolditalic';
+    if (bold) return 'bold';
+    if (italic) return 'italic';
+    return 'normal';
+  }
+
+  /**
+   * Apply a CSS text-transform to a string
+   */
+  applyCSSTextTransform(text, transform) {
+    if (transform === 'uppercase') return text.toUpperCase();
+    if (transform === 'lowercase') return text.toLowerCase();
+    if (transform === 'capitalize') return text.replace(/\b\w/g, c => c.toUpperCase());
+    return text;
   }
 
   /**
@@ -0,0 +1,213 @@
+/**
+ * PDF Structure Module
+ * Builds the structure tree of a tagged (accessible) PDF for a jsPDF
+ * document: headings, paragraphs and lists in reading order, with page
+ * decorations marked as artifacts that screen readers skip.
+ * Reusable across applications
+ */
+
+// Elements that only group other elements; text drawn directly inside one
+// gets its own paragraph
+const STRUCTURE_GROUPS = ['Document', 'Part', 'Sect', 'Div', 'L', 'LI'];
+
+class PDFStructure {
+  /**
+   * @param {object} doc - jsPDF document
+   * @param {object} options - `lang`: document language (e.g. 'en-US')
+   */
+  constructor(doc, options = {}) {
+    this.doc = doc;
+    this.root = { type: 'Document', children: [], parent: null };
+    this.stack = [this.root];
+
+    // Marked content on each page: page number -> elements, indexed by MCID
+    this.pages = new Map();
+    this.artifactDepth = 0;
+
+    if (options.lang) doc.setLanguage(options.lang);
+    this.attach();
+  }
+
+  /**
+   * The element new content is added to
+   */
+  current() {
+    return this.stack[this.stack.length - 1];
+  }
+
+  /**
+   * Open a structure element inside the current one. Elements are read in
+   * the order they are opened, whatever their position on the page.
+   * @param {string} type - Standard structure type ('H1', 'P', 'L', 'LI', 'LBody', ...)
+   * @returns {object} The new element
+   */
+  begin(type) {
+    const element = this.create(type);
+    this.stack.push(element);
+    return element;
+  }
+
+  /**
+   * Create a structure element inside the current one without opening it,
+   * to reserve its place in the reading order
+   * @param {string} type - Structure type
+   */
+  create(type) {
+    const element = { type, children: [], parent: this.current() };
+    element.parent.children.push(element);
+    return element;
+  }
+
+  /**
+   * Run a drawing function inside an element made with create()
+   * @param {object} element - Structure element
+   * @param {function} draw - Draws the element's content
+   */
+  within(element, draw) {
+    this.stack.push(element);
+    try {
+      return draw();
+    } finally {
+      this.stack.pop();
+    }
+  }
+
+  /**
+   * Close the current structure element
+   */
+  end() {
+    if (this.stack.length > 1) this.stack.pop();
+  }
+
+  /**
+   * Run a drawing function inside a structure element
+   * @param {string} type - Structure type
+   * @param {function} draw - Draws the element's content
+   */
+  wrap(type, draw) {
+    this.begin(type);
+    try {
+      return draw();
+    } finally {
+      this.end();
+    }
+  }
+
+  /**
+   * Tag content drawn by a function as part of the current element
+   * @param {function} draw - Draws text onto the current page
+   */
+  markContent(draw) {
+    if (this.artifactDepth > 0) return draw();
+    if (STRUCTURE_GROUPS.includes(this.current().type)) {
+      return this.wrap('P', () => this.markContent(draw));
+    }
+
+    const element = this.current();
+    const page = this.doc.internal.getCurrentPageInfo().pageNumber;
+    if (!this.pages.has(page)) this.pages.set(page, []);
+    const mcids = this.pages.get(page);
+    const mcid = mcids.length;
+    mcids.push(element);
+    element.children.push({ page, mcid });
+
+    this.doc.internal.write(`/${element.type} <</MCID ${mcid}>> BDC`);
+    try {
+      return draw();
+    } finally {
+      this.doc.internal.write('EMC');
+    }
+  }
+
+  /**
+   * Mark content drawn by a function as an artifact: backgrounds, rules,
+   * running headers and page numbers
+   * @param {function} draw - Draws onto the current page
+   * @param {string} kind - 'Layout' | 'Pagination'
+   */
+  markArtifact(draw, kind = 'Layout') {
+    this.doc.internal.write(`/Artifact <</Type /${kind}>> BDC`);
+    this.artifactDepth++;
+    try {
+      return draw();
+    } finally {
+      this.artifactDepth--;
+      this.doc.internal.write('EMC');
+    }
+  }
+
+  /**
+   * Write the tree into the document each time jsPDF builds its output
+   */
+  attach() {
+    const { events } = this.doc.internal;
+    let treeRoot = null;
+
+    events.subscribe('putPage', ({ pageNumber }) => {
+      if (!this.pages.has(pageNumber)) return;
+      this.doc.internal.write(`/StructParents ${pageNumber - 1}`);
+      this.doc.internal.write('/Tabs /S');
+    });
+    events.subscribe('postPutResources', () => {
+      treeRoot = this.writeTree();
+    });
+    events.subscribe('putCatalog', () => {
+      this.doc.internal.write('/MarkInfo <</Marked true>>');
+      if (treeRoot) this.doc.internal.write(`/StructTreeRoot ${treeRoot} 0 R`);
+    });
+  }
+
+  /**
+   * Output the structure elements, the parent tree that maps marked
+   * content back to them, and the structure tree root
+   * @returns {number} Object number of the structure tree root
+   */
+  writeTree() {
+    const { internal } = this.doc;
+    const elements = [];
+    const collect = (element) => {
+      element.id = internal.newObjectDeferred();
+      elements.push(element);
+      element.children.forEach(child => {
+        if (child.children) collect(child);
+      });
+    };
+
+    const rootId = internal.newObjectDeferred();
+    const parentTreeId = internal.newObjectDeferred();
+    collect(this.root);
+
+    elements.forEach(element => {
+      const page = element.children.find(child => !child.children);
+      const kids = element.children.map(child => (child.children
+        ? `${child.id} 0 R`
+        : `<</Type /MCR /Pg ${internal.getPageInfo(child.page).objId} 0 R /MCID ${child.mcid}>>`));
+
+      internal.newObjectDeferredBegin(element.id, true);
+      internal.write(`<</Type /StructElem /S /${element.type}`);
+      internal.write(`/P ${element.parent ? element.parent.id : rootId} 0 R`);
+      if (page) internal.write(`/Pg ${internal.getPageInfo(page.page).objId} 0 R`);
+      internal.write(`/K [${kids.join(' ')}]`);
+      internal.write('>>');
+      internal.write('endobj');
+    });
+
+    const nums = [...this.pages.entries()].sort((a, b) => a[0] - b[0]).map(([pageNumber, mcids]) => (
+      `${pageNumber - 1} [${mcids.map(element => `${element.id} 0 R`).join(' ')}]`
+    ));
+    internal.newObjectDeferredBegin(parentTreeId, true);
+    internal.write(`<</Nums [${nums.join(' ')}]>>`);
+    internal.write('endobj');
+
+    internal.newObjectDeferredBegin(rootId, true);
+    internal.write(`<</Type /StructTreeRoot /K [${this.root.id} 0 R] /ParentTree ${parentTreeId} 0 R /ParentTreeNextKey ${this.doc.getNumberOfPages()}>>`);
+    internal.write('endobj');
+
+    return rootId;
+  }
+}
+
+// Export for browser usage
+if (typeof window !== 'undefined') {
+  window.PDFStructure = PDFStructure;
+}
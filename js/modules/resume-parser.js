@@ -0,0 +1,772 @@
+/**
+ * Resume Parser Module
+ * Reads an existing resume from a PDF (with pdf.js) or DOCX (with JSZip)
+ * file in the browser and sorts its text into resume data with
+ * heuristics. Nothing is uploaded. The result is a draft to be reviewed:
+ * text the parser could not place is returned alongside it.
+ * Reusable across applications
+ */
+
+const PDFJS_WORKER_URL = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+const WORDPROCESSING_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// Section headings as they appear on resumes, lowercased, '&' as 'and'
+const RESUME_SECTION_HEADINGS = {
+  contact: ['contact', 'contact information', 'contact details', 'personal details', 'personal information'],
+  summary: ['summary', 'professional summary', 'career summary', 'executive summary', 'profile', 'professional profile',
+    'personal profile', 'about', 'about me', 'objective', 'career objective', 'overview'],
+  experience: ['experience', 'work experience', 'professional experience', 'relevant experience', 'employment',
+    'employment history', 'work history', 'career history', 'professional background'],
+  education: ['education', 'education and training', 'academic background', 'academic qualifications',
+    'qualifications', 'academic history'],
+  skills: ['skills', 'key skills', 'technical skills', 'core skills', 'skills and abilities', 'core competencies',
+    'competencies', 'areas of expertise', 'expertise', 'technologies', 'tools and technologies'],
+  certifications: ['certifications', 'certificates', 'certification', 'licenses', 'licenses and certifications',
+    'certifications and licenses', 'credentials', 'professional certifications'],
+  // Known sections with no place in resume data; their lines go to the review screen
+  other: ['projects', 'languages', 'interests', 'hobbies', 'publications', 'awards', 'honors', 'honors and awards',
+    'achievements', 'activities', 'volunteering', 'volunteer experience', 'references']
+};
+
+const MONTH_PATTERN = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_PATTERN = `(?:${MONTH_PATTERN}\\s*'?\\d{2,4}|\\d{1,2}[/.]\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(`(${DATE_PATTERN})\\s*(?:-|–|—|to|until)\\s*(${DATE_PATTERN}|present|current|now|today)`, 'i');
+const SINGLE_DATE = new RegExp(`(?:^|\\s|\\()(${DATE_PATTERN})(?=$|\\s|\\)|,)`, 'i');
+
+const BULLET_PATTERN = /^[•●▪■◦‣○►✓\-–*·]\s*/;
+const SEPARATOR_PATTERN = /\s*(?:\t+|\s\|\s|\s•\s|\s·\s|\s—\s|\s–\s|\s-\s)\s*/;
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/;
+const LINKEDIN_PATTERN = /(?:https?:\/\/)?(?:[\w-]+\.)?linkedin\.com\/\S+/i;
+const WEBSITE_PATTERN = /(?<![\w@.])(?:https?:\/\/)?(?:www\.)?[a-z\d-]+(?:\.[a-z\d-]+)*\.[a-z]{2,}(?:\/[^\s,]*)?/i;
+const PHONE_PATTERN = /(?:\+|\()?\d[\d\s().-]{5,}\d/;
+const LOCATION_PATTERN = /^[A-Z][\w .'-]*,\s*[A-Z][\w .'-]*$/;
+
+const DEGREE_PATTERN = /\b(bachelor|master|doctor|associate|diploma|degree|b\.?\s?s\.?c?|b\.?\s?a|b\.?eng|m\.?\s?s\.?c?|m\.?\s?a|m\.?eng|mba|ph\.?\s?d|md|jd|a\.?a\.?s?|ged|high school diploma)\b/i;
+const INSTITUTION_PATTERN = /\b(university|universit[àäé]|college|institute|school|academy|polytechnic|conservatory|seminary)\b/i;
+const JOB_TITLE_PATTERN = /\b(engineer|developer|manager|director|analyst|designer|intern|lead|specialist|consultant|coordinator|assistant|officer|head|vp|president|architect|administrator|associate|scientist|teacher|nurse|accountant|representative|technician|writer|editor|executive|founder|owner|supervisor|programmer|researcher|strategist|advisor|agent|clerk|chef|marketer|recruiter)\b/i;
+
+class ResumeParser {
+  /**
+   * Check if the library needed for a file is loaded
+   * @param {string} type - 'pdf' | 'docx'
+   */
+  isReady(type) {
+    if (typeof window === 'undefined') return false;
+    return type === 'pdf' ? typeof window.pdfjsLib !== 'undefined' : typeof window.JSZip !== 'undefined';
+  }
+
+  /**
+   * Get the file type from its name or MIME type
+   * @param {File} file - Uploaded file
+   * @returns {string|null} 'pdf' | 'docx'
+   */
+  getFileType(file) {
+    if (file.type === 'application/pdf' || /\.pdf$/i.test(file.name)) return 'pdf';
+    if (/wordprocessingml/.test(file.type) || /\.docx$/i.test(file.name)) return 'docx';
+    return null;
+  }
+
+  /**
+   * Read a PDF or DOCX file and parse it
+   * @param {File} file - Uploaded file
+   * @returns {Promise<object>} { success, data, unsorted, error } (see parse)
+   */
+  async parseFile(file) {
+    const type = this.getFileType(file);
+    if (!type) {
+      return { success: false, error: 'Choose a PDF or Word (.docx) file. Older .doc files need to be saved as .docx first.' };
+    }
+    if (!this.isReady(type)) {
+      return { success: false, error: `${type === 'pdf' ? 'PDF' : 'Word'} reader not loaded` };
+    }
+
+    let lines;
+    try {
+      lines = type === 'pdf' ? await this.extractPDF(file) : await this.extractDOCX(file);
+    } catch (error) {
+      return { success: false, error: `Could not read the file: ${error.message}` };
+    }
+
+    if (!lines.some(line => line.text.trim())) {
+      return { success: false, error: 'No text found. Scanned resumes are images and need to be typed in.' };
+    }
+    return this.parse(lines);
+  }
+
+  // ============ TEXT EXTRACTION ============
+
+  /**
+   * Extract the lines of text of a PDF
+   * @param {File} file - PDF file
+   * @returns {Promise<array>} [{ text, bullet, heading }]
+   */
+  async extractPDF(file) {
+    const pdfjs = window.pdfjsLib;
+    if (!pdfjs.GlobalWorkerOptions.workerSrc) {
+      pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+    }
+
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+    const lines = [];
+    let firstLines = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const content = await page.getTextContent();
+      const pageLines = this.groupPDFText(content.items).filter(text => !/^(page\s*)?\d{1,3}(\s*(of|\/)\s*\d{1,3})?$/i.test(text.trim()));
+
+      // Running headers repeat the top of the first page
+      if (number === 1) {
+        firstLines = pageLines.slice(0, 3);
+      } else {
+        while (pageLines.length > 0 && firstLines.includes(pageLines[0])) pageLines.shift();
+      }
+      lines.push(...pageLines);
+    }
+    return lines.map(line => this.toLine(line));
+  }
+
+  /**
+   * Group pdf.js text items into lines, top to bottom. A two-column page
+   * is read one column after the other. Wide gaps within a line (such as
+   * before a right-aligned date) become tabs.
+   * @param {array} items - pdf.js text content items
+   * @returns {array} Line texts
+   */
+  groupPDFText(items) {
+    const texts = items.filter(item => item.str && item.str.trim());
+    const gutter = this.findPDFGutter(texts);
+    if (gutter !== null) {
+      return [
+        ...this.groupPDFRows(texts.filter(item => item.transform[4] < gutter)),
+        ...this.groupPDFRows(texts.filter(item => item.transform[4] >= gutter))
+      ];
+    }
+    return this.groupPDFRows(texts);
+  }
+
+  /**
+   * Find the gap between two columns: an x position in the left half of
+   * the page that no text crosses, with text on both sides of it down
+   * most of the page
+   * @returns {number|null} Gutter x position
+   */
+  findPDFGutter(items) {
+    if (items.length < 10) return null;
+    const left = Math.min(...items.map(item => item.transform[4]));
+    const right = Math.max(...items.map(item => item.transform[4] + item.width));
+    const span = right - left;
+    const extent = group => {
+      const ys = group.map(item => item.transform[5]);
+      return { top: Math.max(...ys), bottom: Math.min(...ys) };
+    };
+
+    for (let x = left + span * 0.2; x <= left + span * 0.6; x += 2) {
+      if (items.some(item => item.transform[4] < x && item.transform[4] + item.width > x)) continue;
+
+      const before = items.filter(item => item.transform[4] < x);
+      const after = items.filter(item => item.transform[4] >= x);
+      if (before.length < 5 || after.length < 5) continue;
+
+      const a = extent(before);
+      const b = extent(after);
+      const overlap = Math.min(a.top, b.top) - Math.max(a.bottom, b.bottom);
+      if (overlap > Math.min(a.top - a.bottom, b.top - b.bottom) * 0.5) return x;
+    }
+    return null;
+  }
+
+  /**
+   * Group text items into lines
+   * @returns {array} Line texts
+   */
+  groupPDFRows(items) {
+    const rows = [];
+    items.forEach(item => {
+      const [, , c, d, x, y] = item.transform;
+      const size = Math.hypot(c, d) || item.height || 10;
+      let row = rows.find(candidate => Math.abs(candidate.y - y) < Math.min(candidate.size, size) * 0.5);
+      if (!row) {
+        row = { y, size, items: [] };
+        rows.push(row);
+      }
+      row.items.push({ x, width: item.width, text: item.str });
+    });
+
+    return rows.sort((a, b) => b.y - a.y).map(row => {
+      let text = '';
+      let end = null;
+      row.items.sort((a, b) => a.x - b.x).forEach(item => {
+        if (end !== null) {
+          const gap = item.x - end;
+          if (gap > row.size * 2) {
+            text += '\t';
+          } else if (gap > row.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+            text += ' ';
+          }
+        }
+        text += item.text;
+        end = item.x + item.width;
+      });
+      return text;
+    });
+  }
+
+  /**
+   * Extract the paragraphs of a DOCX, page headers first since names and
+   * contact details are often placed there
+   * @param {File} file - DOCX file
+   * @returns {Promise<array>} [{ text, bullet, heading }]
+   */
+  async extractDOCX(file) {
+    const zip = await window.JSZip.loadAsync(await file.arrayBuffer());
+    const body = zip.file('word/document.xml');
+    if (!body) throw new Error('not a Word document');
+
+    const parts = zip.file(/^word\/header\d*\.xml$/).sort((a, b) => a.name.localeCompare(b.name));
+    parts.push(body);
+
+    const lines = [];
+    for (const part of parts) {
+      const xml = new DOMParser().parseFromString(await part.async('string'), 'application/xml');
+      Array.from(xml.getElementsByTagNameNS(WORDPROCESSING_NAMESPACE, 'p')).forEach(paragraph => {
+        if (this.isFallbackContent(paragraph)) return;
+        lines.push(...this.readDOCXParagraph(paragraph));
+      });
+    }
+    return lines;
+  }
+
+  /**
+   * Text boxes are stored twice, once as a fallback for old versions of
+   * Word; skip the copy
+   */
+  isFallbackContent(node) {
+    for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+      if (parent.localName === 'Fallback') return true;
+    }
+    return false;
+  }
+
+  /**
+   * Read a w:p element. Line breaks within it start new lines.
+   * @returns {array} [{ text, bullet, heading }]
+   */
+  readDOCXParagraph(paragraph) {
+    const style = paragraph.getElementsByTagNameNS(WORDPROCESSING_NAMESPACE, 'pStyle')[0];
+    const styleName = style ? style.getAttributeNS(WORDPROCESSING_NAMESPACE, 'val') || style.getAttribute('w:val') || '' : '';
+    const numbered = paragraph.getElementsByTagNameNS(WORDPROCESSING_NAMESPACE, 'numPr').length > 0;
+
+    const texts = [''];
+    Array.from(paragraph.getElementsByTagNameNS(WORDPROCESSING_NAMESPACE, '*')).forEach(node => {
+      switch (node.localName) {
+        case 't':
+          texts[texts.length - 1] += node.textContent;
+          break;
+        case 'tab':
+          // Tab stops in the paragraph properties are not text
+          if (node.parentNode.localName !== 'tabs') texts[texts.length - 1] += '\t';
+          break;
+        case 'br':
+        case 'cr':
+          texts.push('');
+          break;
+      }
+    });
+
+    return texts.map((text, index) => this.toLine(text, {
+      bullet: numbered && index === 0,
+      // Heading 3 and below are used for entries rather than sections
+      heading: /^(heading ?[12]|title)$/i.test(styleName)
+    }));
+  }
+
+  /**
+   * Normalize a line of text, noting a leading bullet
+   * @param {string} text - Line text
+   * @param {object} hints - `bullet` and `heading` known from the file
+   * @returns {object} { text, bullet, heading }
+   */
+  toLine(text, hints = {}) {
+    let clean = text.replace(/\u00a0/g, ' ').replace(/[ \f\v]+/g, ' ').replace(/ ?\t ?/g, '\t').trim();
+    // Letter-spaced headings: 'S K I L L S'
+    if (/^(\S ){3,}\S$/.test(clean)) clean = clean.replace(/ /g, '');
+    let bullet = Boolean(hints.bullet);
+    if (BULLET_PATTERN.test(clean) && !DATE_RANGE.test(clean.slice(0, 12)) && clean.length > 2) {
+      clean = clean.replace(BULLET_PATTERN, '');
+      bullet = true;
+    }
+    return { text: clean, bullet, heading: Boolean(hints.heading) };
+  }
+
+  // ============ PARSING ============
+
+  /**
+   * Sort lines of resume text into resume data
+   * @param {array} lines - [{ text, bullet, heading }], or strings
+   * @returns {object} { success, data, unsorted: [{ heading, lines }], error }
+   */
+  parse(lines) {
+    const sections = this.splitSections(lines.map(line => (typeof line === 'string' ? this.toLine(line) : line)));
+    const unsorted = [];
+    const data = {
+      personalInfo: { fullName: '', title: '', email: '', phone: '', location: '', linkedin: '', website: '' },
+      summary: '',
+      experience: [],
+      education: [],
+      skills: [],
+      certifications: []
+    };
+
+    sections.forEach(section => {
+      const leftover = [];
+      // A heading with no lines may have been a line of content taken for one
+      if (section.lines.length === 0) {
+        unsorted.push({ heading: section.heading, lines: [section.text] });
+        return;
+      }
+      switch (section.type) {
+        case 'header':
+          data.summary = this.joinParagraph(this.parseContact(section.lines, data.personalInfo, leftover, true));
+          break;
+        case 'contact':
+          this.parseContact(section.lines, data.personalInfo, leftover, false);
+          break;
+        case 'summary':
+          data.summary = [data.summary, this.joinParagraph(section.lines)].filter(Boolean).join(' ');
+          break;
+        case 'experience':
+          data.experience.push(...this.parseExperience(section.lines));
+          break;
+        case 'education':
+          data.education.push(...this.parseEducation(section.lines, leftover));
+          break;
+        case 'skills':
+          data.skills.push(...this.parseSkills(section.lines, leftover));
+          break;
+        case 'certifications':
+          data.certifications.push(...this.parseCertifications(section.lines));
+          break;
+        default:
+          leftover.push(...section.lines.map(line => line.text));
+      }
+      if (leftover.length > 0) unsorted.push({ heading: section.heading, lines: leftover });
+    });
+
+    data.skills = [...new Set(data.skills)];
+
+    if (!data.personalInfo.fullName && data.experience.length === 0 && data.education.length === 0) {
+      return { success: false, error: 'This does not look like a resume: no name, experience or education was found.' };
+    }
+    return { success: true, data, unsorted };
+  }
+
+  /**
+   * Split lines into sections at their headings. Lines before the first
+   * heading form the 'header' section.
+   * @returns {array} [{ type, heading, text, lines }]
+   */
+  splitSections(lines) {
+    const sections = [{ type: 'header', heading: 'Header', lines: [] }];
+    lines.forEach(line => {
+      // Skip blank lines and rules drawn with dashes or underscores
+      if (!/[\p{L}\p{N}]/u.test(line.text)) return;
+
+      const heading = this.getHeading(line, sections.length > 1);
+      if (!heading) {
+        sections[sections.length - 1].lines.push(line);
+        return;
+      }
+      sections.push({ type: heading.type, heading: heading.title, lines: [], text: line.text });
+      // 'Skills: JavaScript, Python' has its content on the heading line
+      if (heading.rest) sections[sections.length - 1].lines.push({ ...line, text: heading.rest });
+    });
+    // Headings with nothing under them are kept, so their text is not lost
+    return sections.filter(section => section.type !== 'header' || section.lines.length > 0);
+  }
+
+  /**
+   * Recognize a section heading
+   * @param {object} line - Line to check
+   * @param {boolean} inBody - Whether a heading has been seen already.
+   *   Unknown all-caps headings only count then, as the name at the top
+   *   of a resume is often in capitals too. A single capitalized word
+   *   needs heading styling, as it is as likely an acronym (MIT, IBM).
+   * @returns {object|null} { type, title, rest }
+   */
+  getHeading(line, inBody) {
+    const match = /^([^:]{2,40}):\s*(.*)$/.exec(line.text);
+    const candidates = match ? [[match[1], match[2]], [line.text, '']] : [[line.text, '']];
+
+    for (const [text, rest] of candidates) {
+      const normalized = text.toLowerCase().replace(/&/g, 'and').replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim();
+      const type = Object.keys(RESUME_SECTION_HEADINGS).find(key => RESUME_SECTION_HEADINGS[key].includes(normalized));
+      // 'Languages: English, French' under Skills is a label, not a section
+      if (type && !(type === 'other' && rest.trim())) return { type, title: text.trim(), rest: rest.trim() };
+    }
+
+    // Words only, so skill lists like 'JS • CSS' or 'AWS' are not taken for headings
+    const words = line.text.replace(/:$/, '').split(/\s+/);
+    const wordsOnly = words.every(word => /^([A-Za-z]{3,}|and|of|&)$/i.test(word));
+    const capitals = words.length > 1 && line.text === line.text.toUpperCase();
+    if (inBody && !line.bullet && words.length <= 4 && wordsOnly && (capitals || line.heading)) {
+      return { type: 'other', title: line.text.replace(/:$/, ''), rest: '' };
+    }
+    return null;
+  }
+
+  /**
+   * Pick contact details out of the header or a contact section
+   * @param {array} lines - Section lines
+   * @param {object} personalInfo - Personal info to fill in
+   * @param {array} leftover - Text that was not placed
+   * @param {boolean} header - Whether the name and title may be here
+   * @returns {array} Lines of prose in the header: an untitled summary
+   */
+  parseContact(lines, personalInfo, leftover, header) {
+    const prose = [];
+    lines.forEach(line => {
+      this.splitParts(line.text).forEach(part => {
+        const text = this.takeContactDetails(part, personalInfo);
+        if (!text) return;
+
+        if (header && text.split(/\s+/).length >= 8) {
+          prose.push({ text });
+        } else if (LOCATION_PATTERN.test(text) && text.length <= 40 && !personalInfo.location) {
+          personalInfo.location = text;
+        } else if (header && !personalInfo.fullName && text.split(/\s+/).length <= 5) {
+          personalInfo.fullName = text;
+        } else if (header && !personalInfo.title && text.length <= 60) {
+          personalInfo.title = text;
+        } else {
+          leftover.push(text);
+        }
+      });
+    });
+
+    // 'JANE DOE' -> 'Jane Doe'; templates set their own case
+    if (personalInfo.fullName === personalInfo.fullName.toUpperCase()) {
+      personalInfo.fullName = personalInfo.fullName.toLowerCase().replace(/(^|[\s'-])\p{L}/gu, letter => letter.toUpperCase());
+    }
+    return prose;
+  }
+
+  /**
+   * Move the email, LinkedIn, website and phone number found in a piece of
+   * text into personal info. Details may be separated by spaces only.
+   * @returns {string} The rest of the text
+   */
+  takeContactDetails(text, personalInfo) {
+    let rest = text.replace(/\b(email|e-mail|phone|tel|mobile|cell|web|website|linkedin|location|address):\s*/gi, '');
+    [
+      ['email', EMAIL_PATTERN],
+      ['linkedin', LINKEDIN_PATTERN],
+      ['website', WEBSITE_PATTERN],
+      ['phone', PHONE_PATTERN]
+    ].forEach(([field, pattern]) => {
+      const match = pattern.exec(rest);
+      if (!match || personalInfo[field]) return;
+      if (field === 'phone' && match[0].replace(/\D/g, '').length < 7) return;
+      personalInfo[field] = match[0].trim();
+      rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+    });
+    return rest.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Parse work experience entries. An entry starts with heading lines
+   * (title, company, dates) followed by bullets or a description.
+   * @returns {array} Experience entries
+   */
+  parseExperience(lines) {
+    const entries = [];
+    let entry = null;
+    let previous = null;
+
+    const startEntry = () => {
+      entry = { headings: [], startDate: '', endDate: '', achievements: [], description: [] };
+      entries.push(entry);
+    };
+
+    lines.forEach(line => {
+      if (line.bullet) {
+        if (!entry) startEntry();
+        entry.achievements.push(line.text);
+      } else if (previous && previous.bullet && this.isContinuation(previous.text, line.text) && !DATE_RANGE.test(line.text)) {
+        // A bullet that wrapped onto the next line
+        entry.achievements[entry.achievements.length - 1] += ` ${line.text}`;
+        line = { ...line, bullet: true };
+      } else {
+        const range = DATE_RANGE.exec(line.text);
+        const rest = range ? this.removeMatch(line.text, range) : line.text;
+        const started = entry && (entry.achievements.length > 0 || entry.description.length > 0);
+
+        if (range) {
+          if (!entry || started || entry.startDate) startEntry();
+          entry.startDate = this.formatDate(range[1]);
+          entry.endDate = this.formatDate(range[2]);
+          if (rest) entry.headings.push(rest);
+        } else if (!entry || started) {
+          startEntry();
+          entry.headings.push(rest);
+        } else if (entry.startDate && entry.headings.length >= 2 && (rest.length > 60 || /[.!?]$/.test(rest))) {
+          entry.description.push(rest);
+        } else if (entry.headings.length < 3) {
+          entry.headings.push(rest);
+        } else {
+          entry.description.push(rest);
+        }
+      }
+      previous = line;
+    });
+
+    return entries.map(({ headings, startDate, endDate, achievements, description }) => ({
+      ...this.parseExperienceHeadings(headings),
+      startDate,
+      endDate: endDate || (startDate ? 'Present' : ''),
+      achievements,
+      description: this.joinParagraph(description.map(text => ({ text })))
+    }));
+  }
+
+  /**
+   * Work out the title, company and location from an entry's heading lines
+   * ('Engineer | Acme | Portland, OR', 'Engineer at Acme', or one per line)
+   */
+  parseExperienceHeadings(headings) {
+    const parts = [];
+    headings.forEach(text => {
+      const at = /^(.+?)\s+(?:at|@)\s+(.+)$/.exec(text);
+      parts.push(...(at ? [at[1], at[2]] : this.splitParts(text)));
+    });
+
+    // A trailing 'City, ST' is the location, also inside 'Acme, Portland, OR'
+    let location = '';
+    const rest = [];
+    parts.forEach(part => {
+      if (!location && (LOCATION_PATTERN.test(part) || /^remote$/i.test(part))) {
+        location = part;
+        return;
+      }
+      const comma = /^(.+?),\s*([A-Z][\w .'-]*,\s*[A-Z][\w .'-]*)$/.exec(part);
+      if (!location && comma) {
+        location = comma[2];
+        rest.push(comma[1]);
+        return;
+      }
+      rest.push(part);
+    });
+
+    let title = rest[0] || '';
+    let company = rest[1] || '';
+    // Company first, title second
+    if (company && !JOB_TITLE_PATTERN.test(title) && JOB_TITLE_PATTERN.test(company)) {
+      [title, company] = [company, title];
+    }
+    if (rest.length > 2) company = [company, ...rest.slice(2)].join(', ');
+
+    return { title, company, location };
+  }
+
+  /**
+   * Parse education entries: a new entry starts when a degree or an
+   * institution is found for an entry that already has one
+   */
+  parseEducation(lines, leftover) {
+    const entries = [];
+    let entry = null;
+
+    lines.forEach(line => {
+      const range = DATE_RANGE.exec(line.text);
+      const date = range || SINGLE_DATE.exec(line.text);
+      const text = date ? this.removeMatch(line.text, date) : line.text;
+      const year = date ? this.getYear(range ? range[2] : date[1]) : '';
+
+      const parts = this.splitParts(text).flatMap(part => this.splitEducationPart(part));
+      const degrees = parts.filter(part => DEGREE_PATTERN.test(part) && !INSTITUTION_PATTERN.test(part));
+      const institutions = parts.filter(part => INSTITUTION_PATTERN.test(part));
+
+      if (degrees.length === 0 && institutions.length === 0) {
+        if (year && !text && entry && !entry.year) {
+          entry.year = year;
+        } else if (entry && !line.bullet && text && !entry.institution && !LOCATION_PATTERN.test(text)) {
+          // An institution without a telling word, under its degree
+          entry.institution = text;
+          if (year) entry.year = year;
+        } else if (!entry && text && !line.bullet) {
+          entry = { degree: text, institution: '', year };
+          entries.push(entry);
+        } else if (text && !LOCATION_PATTERN.test(text)) {
+          leftover.push(line.text);
+        }
+        return;
+      }
+
+      const degree = degrees.join(', ');
+      const institution = institutions.join(', ');
+      if (!entry || (degree && entry.degree) || (institution && entry.institution)) {
+        entry = { degree: '', institution: '', year: '' };
+        entries.push(entry);
+      }
+      if (degree) entry.degree = degree;
+      if (institution) entry.institution = institution;
+      if (year) entry.year = year;
+    });
+
+    return entries;
+  }
+
+  /**
+   * 'BS Computer Science, State University' holds both the degree and the
+   * institution
+   */
+  splitEducationPart(part) {
+    const pieces = part.split(/,\s*/);
+    const index = pieces.findIndex(piece => INSTITUTION_PATTERN.test(piece));
+    if (index <= 0) return [part];
+    return [pieces.slice(0, index).join(', '), pieces.slice(index).join(', ')];
+  }
+
+  /**
+   * Parse skills from lists and 'Label: a, b, c' lines. Anything too long
+   * to be a skill is left over.
+   */
+  parseSkills(lines, leftover) {
+    const skills = [];
+    lines.forEach(line => {
+      const text = line.text.replace(/^[^:]{2,30}:\s*/, '');
+      text.split(/\s*(?:,|;|\||•|·|\t)\s*/).map(skill => skill.replace(/\.$/, '').trim()).filter(Boolean).forEach(skill => {
+        if (skill.length <= 40 && skill.split(/\s+/).length <= 5) {
+          skills.push(skill);
+        } else {
+          leftover.push(skill);
+        }
+      });
+    });
+    return skills;
+  }
+
+  /**
+   * Parse certifications, one per line: 'Name - Issuer (2021)',
+   * 'Name, Issuer, 2021' or 'Name (Issuer)'
+   */
+  parseCertifications(lines) {
+    // Rejoin wrapped lines: where the list is bulleted, every line that
+    // is not a bullet, otherwise lines after a dangling separator
+    const bulleted = lines.some(line => line.bullet);
+    const texts = [];
+    lines.forEach(line => {
+      const last = texts[texts.length - 1];
+      if (last !== undefined && ((bulleted && !line.bullet) || /[-–|,]$/.test(last))) {
+        texts[texts.length - 1] = `${last} ${line.text}`;
+      } else {
+        texts.push(line.text);
+      }
+    });
+
+    return texts.map(line => {
+      let text = line;
+      let url = '';
+      const link = /\s*<?(https?:\/\/\S+?)>?$/.exec(text);
+      if (link) {
+        url = link[1];
+        text = this.removeMatch(text, link);
+      }
+
+      const date = SINGLE_DATE.exec(text);
+      if (date) text = this.removeMatch(text, date).replace(/\(\s*\)/, '').trim();
+
+      let name = text;
+      let issuer = '';
+      const parenthesized = /^(.+?)\s*\(([^)]+)\)$/.exec(text);
+      const parts = this.splitParts(text);
+      if (parenthesized) {
+        [, name, issuer] = parenthesized;
+      } else if (parts.length > 1) {
+        name = parts[0];
+        issuer = parts.slice(1).join(', ');
+      } else if (/,/.test(text)) {
+        const comma = text.lastIndexOf(',');
+        name = text.slice(0, comma).trim();
+        issuer = text.slice(comma + 1).trim();
+      }
+
+      return { name: name.replace(/[,\s-]+$/, ''), issuer, year: date ? this.getYear(date[1]) : '', url };
+    }).filter(cert => cert.name);
+  }
+
+  // ============ HELPERS ============
+
+  /**
+   * Split a line at separators: tabs, ' | ', ' • ', ' - ' and dashes
+   */
+  splitParts(text) {
+    return text.split(SEPARATOR_PATTERN).map(part => part.trim()).filter(Boolean);
+  }
+
+  /**
+   * Remove a regex match from a line along with the separators around it
+   */
+  removeMatch(text, match) {
+    const before = text.slice(0, match.index);
+    const after = text.slice(match.index + match[0].length);
+    return `${before}\t${after}`.split(SEPARATOR_PATTERN)
+      .map(part => part.replace(/^[\s,|•·()-]+|[\s,|•·(-]+$/g, ''))
+      .filter(Boolean)
+      .join('\t');
+  }
+
+  /**
+   * Whether a line continues the wrapped line before it: it starts in
+   * lowercase, or the line before ran long without ending a sentence
+   */
+  isContinuation(previous, text) {
+    return /^[a-z(]/.test(text) || (previous.length >= 60 && !/[.!?:;]$/.test(previous));
+  }
+
+  /**
+   * Join wrapped lines into one paragraph, mending hyphenated breaks
+   */
+  joinParagraph(lines) {
+    return lines.reduce((text, line) => {
+      if (!text) return line.text;
+      return /[a-z]-$/.test(text) ? `${text.slice(0, -1)}${line.text}` : `${text} ${line.text}`;
+    }, '');
+  }
+
+  /**
+   * Tidy a date for display: 'JAN. 2020' -> 'Jan 2020', 'present' -> 'Present'.
+   * Two-digit years after this year's are last century: "Jan '99" -> 'Jan 1999'.
+   */
+  formatDate(text) {
+    const value = text.trim();
+    if (/^(present|current|now|today)$/i.test(value)) return 'Present';
+    const month = new RegExp(`^(${MONTH_PATTERN})\\s*'?(\\d{2,4})$`, 'i').exec(value);
+    if (month) {
+      const name = month[1].replace('.', '');
+      const year = month[2].length === 2 ? this.expandYear(month[2]) : month[2];
+      return `${name.charAt(0).toUpperCase()}${name.slice(1, 3).toLowerCase()} ${year}`;
+    }
+    return value;
+  }
+
+  /**
+   * Four-digit year for a two-digit one, pivoting on the current year
+   */
+  expandYear(twoDigits) {
+    const century = new Date().getFullYear() % 100 < Number(twoDigits) ? '19' : '20';
+    return `${century}${twoDigits}`;
+  }
+
+  getYear(text) {
+    if (/^(present|current|now|today)$/i.test(text.trim())) return '';
+    const match = /\d{4}/.exec(text);
+    return match ? match[0] : '';
+  }
+}
+
+// Export for browser usage
+if (typeof window !== 'undefined') {
+  window.ResumeParser = ResumeParser;
+}
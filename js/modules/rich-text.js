@@ -0,0 +1,104 @@
+/**
+ * Rich Text Module
+ * Small inline markup for resume text: **bold**, *italic* and [text](url).
+ * A backslash keeps a markup character literal (\*).
+ * Reusable across applications
+ */
+
+class RichText {
+  /**
+   * Parse inline markup into styled runs
+   * @param {string} text - Text with inline markup
+   * @param {object} style - Style inherited from enclosing markup
+   * @returns {array} Runs of { text, bold, italic, url }
+   */
+  parse(text = '', style = { bold: false, italic: false, url: null }) {
+    const pattern = /\\([\\*[\]])|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(?=\S)([\s\S]*?\S)\*\*|\*(?=[^\s*])([\s\S]*?[^\s*])\*/g;
+    const runs = [];
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(String(text))) !== null) {
+      if (match.index > last) {
+        runs.push({ ...style, text: text.slice(last, match.index) });
+      }
+
+      const [, escaped, linkText, url, bold, italic] = match;
+      if (escaped) {
+        runs.push({ ...style, text: escaped });
+      } else if (linkText) {
+        runs.push(...this.parse(linkText, { ...style, url: this.safeURL(url) }));
+      } else if (bold) {
+        runs.push(...this.parse(bold, { ...style, bold: true }));
+      } else {
+        runs.push(...this.parse(italic, { ...style, italic: true }));
+      }
+      last = pattern.lastIndex;
+    }
+
+    if (last < String(text).length) {
+      runs.push({ ...style, text: String(text).slice(last) });
+    }
+
+    return runs;
+  }
+
+  /**
+   * Render inline markup as HTML. Text is escaped; only the markup becomes tags.
+   * @param {string} text - Text with inline markup
+   */
+  toHTML(text = '') {
+    return this.parse(text).map(run => {
+      let html = this.escapeHTML(run.text);
+      if (run.italic) html = `<em>${html}</em>`;
+      if (run.bold) html = `<strong>${html}</strong>`;
+      if (run.url) html = `<a href="${this.escapeHTML(run.url)}">${html}</a>`;
+      return html;
+    }).join('');
+  }
+
+  /**
+   * Remove inline markup, keeping the text
+   * @param {string} text - Text with inline markup
+   */
+  toPlainText(text = '') {
+    return this.parse(text).map(run => run.text).join('');
+  }
+
+  /**
+   * Check whether text contains any inline markup
+   */
+  hasMarkup(text = '') {
+    const runs = this.parse(text);
+    return runs.length > 1 || runs.some(run => run.bold || run.italic || run.url);
+  }
+
+  /**
+   * Allow web, mail and phone links only; addresses without a scheme get https://
+   * @param {string} url - Link target as typed
+   * @returns {string|null} Safe URL, or null if the scheme is not allowed
+   */
+  safeURL(url) {
+    const trimmed = url.trim();
+    const scheme = trimmed.match(/^([a-z][a-z\d+.-]*):/i);
+    if (!scheme) return `https://${trimmed.replace(/^\/+/, '')}`;
+    return ['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase()) ? trimmed : null;
+  }
+
+  /**
+   * Escape text for use in HTML
+   */
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Export for browser usage
+if (typeof window !== 'undefined') {
+  window.RichText = RichText;
+}
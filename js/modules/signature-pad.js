@@ -0,0 +1,153 @@
+/**
+ * Signature Pad Module
+ * Draw a handwritten signature on a canvas with a mouse, pen or finger
+ * Reusable across applications
+ */
+
+class SignaturePad {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {object} options - `color`, `lineWidth` (canvas pixels) and
+   *   `onChange`, called after each stroke
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.color = options.color || '#1a1a1a';
+    this.lineWidth = options.lineWidth || 3;
+    this.onChange = options.onChange || null;
+    this.empty = true;
+    this.lastPoint = null;
+
+    this.bindEvents();
+  }
+
+  /**
+   * Listen for pointer strokes
+   */
+  bindEvents() {
+    const { canvas } = this;
+    canvas.style.touchAction = 'none';
+
+    canvas.addEventListener('pointerdown', (e) => {
+      canvas.setPointerCapture(e.pointerId);
+      this.lastPoint = this.getPoint(e);
+      this.drawSegment(this.lastPoint, this.lastPoint);
+    });
+
+    canvas.addEventListener('pointermove', (e) => {
+      if (!this.lastPoint) return;
+      const point = this.getPoint(e);
+      this.drawSegment(this.lastPoint, point);
+      this.lastPoint = point;
+    });
+
+    const endStroke = () => {
+      if (!this.lastPoint) return;
+      this.lastPoint = null;
+      if (this.onChange) this.onChange(this);
+    };
+    canvas.addEventListener('pointerup', endStroke);
+    canvas.addEventListener('pointercancel', endStroke);
+  }
+
+  /**
+   * Convert a pointer event to canvas pixels
+   */
+  getPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
+    };
+  }
+
+  /**
+   * Draw one piece of a stroke
+   */
+  drawSegment(from, to) {
+    const ctx = this.context;
+    ctx.strokeStyle = this.color;
+    ctx.lineWidth = this.lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    // A zero-length line still draws a dot with round caps
+    ctx.lineTo(to.x + 0.01, to.y);
+    ctx.stroke();
+    this.empty = false;
+  }
+
+  /**
+   * Clear the canvas
+   */
+  clear() {
+    this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.empty = true;
+  }
+
+  /**
+   * Check whether anything has been drawn or loaded
+   */
+  isEmpty() {
+    return this.empty;
+  }
+
+  /**
+   * Replace the canvas content with an image, scaled to fit
+   * @param {string} src - Image URL or data URL
+   * @returns {Promise<object>} { success, error }
+   */
+  loadImage(src) {
+    return new Promise((resolve) => {
+      const image = new Image();
+      image.onload = () => {
+        const scale = Math.min(this.canvas.width / image.width, this.canvas.height / image.height, 1);
+        this.clear();
+        this.context.drawImage(image, 0, 0, image.width * scale, image.height * scale);
+        this.empty = false;
+        resolve({ success: true });
+      };
+      image.onerror = () => resolve({ success: false, error: 'Could not read the image' });
+      image.src = src;
+    });
+  }
+
+  /**
+   * Export the signature as a PNG cropped to the drawn area
+   * @returns {string|null} PNG data URL, or null if the pad is empty
+   */
+  toDataURL() {
+    if (this.empty) return null;
+
+    const { width, height } = this.canvas;
+    const pixels = this.context.getImageData(0, 0, width, height).data;
+    let left = width;
+    let top = height;
+    let right = -1;
+    let bottom = -1;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (pixels[(y * width + x) * 4 + 3] === 0) continue;
+        if (x < left) left = x;
+        if (x > right) right = x;
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+      }
+    }
+    if (right < 0) return null;
+
+    const cropped = document.createElement('canvas');
+    cropped.width = right - left + 1;
+    cropped.height = bottom - top + 1;
+    cropped.getContext('2d').drawImage(this.canvas, left, top, cropped.width, cropped.height, 0, 0, cropped.width, cropped.height);
+    return cropped.toDataURL('image/png');
+  }
+}
+
+// Export for browser usage
+if (typeof window !== 'undefined') {
+  window.SignaturePad = SignaturePad;
+}
@@ -1,12 +1,36 @@
 /**
  * Template Engine Module
- * Template rendering and management
+ * Template rendering and management. Templates use a logic-less,
+ * Handlebars-style syntax that is tokenized and parsed into a tree once,
+ * so blocks nest to any depth:
+ *
+ *   {{path.to.value}}              Value from the data, HTML-escaped
+ *   {{{path.to.value}}}            Value output as is, for trusted markup
+ *   {{helper arg "text" 3}}        Helper call with paths and literals; the
+ *                                  result is escaped unless in {{{ }}}
+ *   {{#if value}}...{{else if other}}...{{else}}...{{/if}}
+ *   {{#unless value}}...{{else}}...{{/unless}}
+ *   {{#each list}}...{{else}}...{{/each}}  @index, @first, @last, @key
+ *   {{#with object}}...{{else}}...{{/with}}
+ *   {{! comment }} and {{!-- comment with }} --}}
+ *
+ * Inside each and with blocks, `this` is the current item, `../` steps up
+ * to the enclosing context and `@root` is the data passed to render. A
+ * bare name is read from the current item only; outer values need `../`
+ * or `@root`. Empty arrays count as false.
+ * Registered templates are compiled once and cached by name.
  * Reusable across applications
  */
 
+const TEMPLATE_BLOCKS = ['if', 'unless', 'each', 'with'];
+
+// A path: optional '../' steps, then 'this', '.', '@data' or a name, then '.name' parts
+const TEMPLATE_PATH = /^((?:\.\.\/)*)(?:(this|\.)(?:[./]([\w$-]+(?:\.[\w$-]+)*))?|(@?[\w$-]+(?:\.[\w$-]+)*))$/;
+
 class TemplateEngine {
   constructor() {
     this.templates = new Map();
+    this.compiled = new Map();     // Render functions by template name
     this.helpers = new Map();
     this.registerDefaultHelpers();
   }
@@ -54,6 +78,12 @@ class TemplateEngine {
     this.registerHelper('if', (condition, trueValue, falseValue = '') => {
       return condition ? trueValue : falseValue;
     });
+
+    // Escaped text with line breaks kept, for use in {{{ }}}
+    this.registerHelper('breakLines', (str) => {
+      if (!str) return '';
+      return this.escapeHTML(str).replace(/\r?\n/g, '<br>');
+    });
   }
 
   /**
@@ -63,6 +93,7 @@ class TemplateEngine {
    */
   registerTemplate(name, template) {
     this.templates.set(name, template);
+    this.compiled.delete(name);
   }
 
   /**
@@ -93,22 +124,31 @@ class TemplateEngine {
    * Render a template with data
    * @param {string} templateName - Template name or raw template string
    * @param {object} data - Data to render
+   * @throws {Error} If the template is malformed; the message gives the line
    */
   render(templateName, data) {
-    let template = this.templates.get(templateName);
-    let html = '';
+    const compiled = this.getCompiled(templateName);
 
-    if (template) {
-      html = template.html || template;
-    } else {
-      // Assume templateName is raw template string
-      html = templateName;
+    if (compiled) {
+      return compiled(data);
     }
+    // Assume templateName is raw template string
+    return this.processTemplate(templateName, data);
+  }
 
-    // Process template syntax
-    html = this.processTemplate(html, data);
-
-    return html;
+  /**
+   * Get the render function of a registered template, compiling it on
+   * first use
+   * @param {string} name - Template name
+   * @returns {function|undefined} data => html
+   */
+  getCompiled(name) {
+    if (!this.compiled.has(name)) {
+      const template = this.templates.get(name);
+      if (!template) return undefined;
+      this.compiled.set(name, this.compile(template.html || template, name));
+    }
+    return this.compiled.get(name);
   }
 
   /**
@@ -117,136 +157,337 @@ class TemplateEngine {
    * @param {object} data - Data object
    */
   processTemplate(template, data) {
-    let result = template;
-
-    // Process loops: {{#each items}}...{{/each}}
-    result = this.processLoops(result, data);
+    return this.compile(template)(data);
+  }
 
-    // Process conditionals: {{#if condition}}...{{/if}}
-    result = this.processConditionals(result, data);
+  // ============ TOKENIZER ============
 
-    // Process variables: {{variable}} and {{object.property}}
-    result = this.processVariables(result, data);
+  /**
+   * Split a template into text and tag tokens
+   * @param {string} source - Template string
+   * @param {string} name - Template name for error messages
+   * @returns {array} [{ type: 'text', value } | { type: 'open' | 'close' | 'else' | 'value', ..., line }]
+   */
+  tokenize(source, name = '') {
+    const tokens = [];
+    let position = 0;
+    let line = 1;
+
+    const advance = (to) => {
+      line += (source.slice(position, to).match(/\n/g) || []).length;
+      position = to;
+    };
+
+    while (position < source.length) {
+      const start = source.indexOf('{{', position);
+      if (start < 0) {
+        tokens.push({ type: 'text', value: source.slice(position) });
+        break;
+      }
+      if (start > position) {
+        tokens.push({ type: 'text', value: source.slice(position, start) });
+        advance(start);
+      }
 
-    // Process helpers: {{helper arg1 arg2}}
-    result = this.processHelpers(result, data);
+      const tagLine = line;
+      const longComment = source.startsWith('{{!--', start);
+      const raw = !longComment && source.startsWith('{{{', start);
+      const [openLength, closing] = longComment ? [2, '--}}'] : raw ? [3, '}}}'] : [2, '}}'];
+      const end = source.indexOf(closing, start + openLength);
+      if (end < 0) {
+        throw this.syntaxError(`"${source.slice(start, start + 20).split('\n')[0]}" is never closed with ${closing}`, tagLine, name);
+      }
+      const content = source.slice(start + openLength, end).trim();
+      advance(end + closing.length);
+
+      if (content.startsWith('!')) continue;
+      const token = this.readTag(content, tagLine, name);
+      if (raw) {
+        if (token.type !== 'value') {
+          throw this.syntaxError(`{{{${content}}}}: only values and helpers can be output raw`, tagLine, name);
+        }
+        token.raw = true;
+      }
+      tokens.push(token);
+    }
 
-    return result;
+    return tokens;
   }
 
   /**
-   * Process loop blocks
+   * Classify the content of a {{ }} tag
    */
-  processLoops(template, data) {
-    const loopRegex = /\{\{#each\s+(\w+(?:\.\w+)*)\}\}([\s\S]*?)\{\{\/each\}\}/g;
-
-    return template.replace(loopRegex, (match, path, content) => {
-      const items = this.getValueByPath(data, path);
-      if (!Array.isArray(items)) return '';
-
-      return items.map((item, index) => {
-        const itemData = {
-          ...data,
-          this: item,
-          '@index': index,
-          '@first': index === 0,
-          '@last': index === items.length - 1
-        };
-
-        // Handle simple item references
-        let itemContent = content.replace(/\{\{this\.(\w+)\}\}/g, (m, prop) => {
-          return item[prop] !== undefined ? item[prop] : '';
-        });
+  readTag(content, line, name) {
+    if (!content) {
+      throw this.syntaxError('Empty tag {{}}', line, name);
+    }
 
-        itemContent = itemContent.replace(/\{\{this\}\}/g,
-          typeof item === 'object' ? JSON.stringify(item) : item
-        );
+    if (content.startsWith('#')) {
+      const [block, ...params] = this.splitParams(content.slice(1), line, name);
+      if (!TEMPLATE_BLOCKS.includes(block)) {
+        throw this.syntaxError(`Unknown block {{#${block}}}. Blocks are ${TEMPLATE_BLOCKS.map(b => `#${b}`).join(', ')}`, line, name);
+      }
+      if (params.length !== 1) {
+        throw this.syntaxError(`{{#${block}}} takes exactly one value, got ${params.length}`, line, name);
+      }
+      return { type: 'open', block, param: this.readExpression(params[0], line, name), line };
+    }
 
-        return this.processTemplate(itemContent, itemData);
-      }).join('');
-    });
+    if (content.startsWith('/')) {
+      return { type: 'close', block: content.slice(1).trim(), line };
+    }
+
+    const [first, ...params] = this.splitParams(content, line, name);
+    if (first === 'else') {
+      if (params.length === 0) return { type: 'else', line };
+      const [block, ...rest] = params;
+      if (!['if', 'unless'].includes(block) || rest.length !== 1) {
+        throw this.syntaxError(`Expected {{else}}, {{else if value}} or {{else unless value}}, got {{${content}}}`, line, name);
+      }
+      return { type: 'else', block, param: this.readExpression(rest[0], line, name), line };
+    }
+
+    if (params.length > 0) {
+      return { type: 'value', helper: first, params: params.map(param => this.readExpression(param, line, name)), line };
+    }
+    return { type: 'value', expression: this.readExpression(first, line, name), line };
   }
 
   /**
-   * Process conditional blocks
+   * Split tag content at spaces, keeping quoted strings whole
    */
-  processConditionals(template, data) {
-    // {{#if condition}}...{{else}}...{{/if}}
-    const ifElseRegex = /\{\{#if\s+(\w+(?:\.\w+)*)\}\}([\s\S]*?)\{\{else\}\}([\s\S]*?)\{\{\/if\}\}/g;
-    template = template.replace(ifElseRegex, (match, path, trueContent, falseContent) => {
-      const value = this.getValueByPath(data, path);
-      return value ? this.processTemplate(trueContent, data) : this.processTemplate(falseContent, data);
-    });
+  splitParams(content, line, name) {
+    const parts = content.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|["']|[^\s"']+/g) || [];
+    const unclosed = parts.find(part => part === '"' || part === "'");
+    if (unclosed) {
+      throw this.syntaxError(`Unclosed string in {{${content}}}`, line, name);
+    }
+    return parts;
+  }
+
+  /**
+   * Read a helper argument or block value: a string, number, boolean or
+   * null literal, or a path
+   * @returns {object} { literal } | { path: { up, data, parts } }
+   */
+  readExpression(text, line, name) {
+    if (/^["']/.test(text)) return { literal: text.slice(1, -1).replace(/\\(.)/g, '$1') };
+    if (text === 'true' || text === 'false') return { literal: text === 'true' };
+    if (text === 'null') return { literal: null };
+    if (text === 'undefined') return { literal: undefined };
+    if (/^-?\d+(\.\d+)?$/.test(text)) return { literal: Number(text) };
+
+    const match = TEMPLATE_PATH.exec(text);
+    if (!match) {
+      throw this.syntaxError(`"${text}" is not a valid value or path`, line, name);
+    }
+    const [, ups, , selfPath, namePath] = match;
+    const path = namePath || selfPath || '';
+    return {
+      path: {
+        up: ups.length / 3,
+        data: path.startsWith('@'),
+        parts: path ? path.replace(/^@/, '').split('.') : []
+      },
+      source: text
+    };
+  }
 
-    // {{#if condition}}...{{/if}}
-    const ifRegex = /\{\{#if\s+(\w+(?:\.\w+)*)\}\}([\s\S]*?)\{\{\/if\}\}/g;
-    template = template.replace(ifRegex, (match, path, content) => {
-      const value = this.getValueByPath(data, path);
-      return value ? this.processTemplate(content, data) : '';
+  // ============ PARSER ============
+
+  /**
+   * Parse a template into a tree of nodes
+   * @param {string} source - Template string
+   * @param {string} name - Template name for error messages
+   * @returns {array} Nodes: { type: 'text' | 'value' | 'block', ... }
+   * @throws {Error} For unbalanced or misplaced tags
+   */
+  parse(source, name = '') {
+    const root = [];
+    const stack = [];              // Open blocks: { node, branch, chained }
+    const current = () => (stack.length > 0 ? stack[stack.length - 1].node[stack[stack.length - 1].branch] : root);
+
+    this.tokenize(source, name).forEach(token => {
+      switch (token.type) {
+        case 'text':
+          current().push({ type: 'text', value: token.value });
+          break;
+
+        case 'value':
+          current().push({ type: 'value', ...token });
+          break;
+
+        case 'open': {
+          const node = { type: 'block', block: token.block, param: token.param, body: [], inverse: [], line: token.line };
+          current().push(node);
+          stack.push({ node, branch: 'body', chained: false });
+          break;
+        }
+
+        case 'else': {
+          const frame = stack[stack.length - 1];
+          if (!frame) {
+            throw this.syntaxError('{{else}} outside of a block', token.line, name);
+          }
+          if (frame.branch === 'inverse') {
+            throw this.syntaxError(`Second {{else}} in {{#${frame.node.block}}} opened on line ${frame.node.line}`, token.line, name);
+          }
+          frame.branch = 'inverse';
+          // {{else if x}} opens a block inside the inverse that ends with the outer block
+          if (token.block) {
+            const node = { type: 'block', block: token.block, param: token.param, body: [], inverse: [], line: token.line };
+            frame.node.inverse.push(node);
+            stack.push({ node, branch: 'body', chained: true });
+          }
+          break;
+        }
+
+        case 'close': {
+          // Blocks opened by {{else if}} end with the block they continue
+          while (stack.length > 0 && stack[stack.length - 1].chained) stack.pop();
+          const frame = stack.pop();
+          if (!frame) {
+            throw this.syntaxError(`{{/${token.block}}} closes a block that was never opened`, token.line, name);
+          }
+          if (frame.node.block !== token.block) {
+            throw this.syntaxError(`{{/${token.block}}} does not match {{#${frame.node.block}}} opened on line ${frame.node.line}`, token.line, name);
+          }
+          break;
+        }
+      }
     });
 
-    return template;
+    if (stack.length > 0) {
+      const open = stack.filter(frame => !frame.chained).pop();
+      throw this.syntaxError(`{{#${open.node.block}}} opened on line ${open.node.line} is never closed with {{/${open.node.block}}}`, open.node.line, name);
+    }
+    return root;
   }
 
   /**
-   * Process variable placeholders
+   * Create an error for a malformed template
    */
-  processVariables(template, data) {
-    // Match {{variable}} or {{object.property.nested}}
-    const varRegex = /\{\{(\w+(?:\.\w+)*)\}\}/g;
-
-    return template.replace(varRegex, (match, path) => {
-      // Skip if it looks like a helper or block
-      if (path.startsWith('#') || path.startsWith('/')) return match;
-
-      const value = this.getValueByPath(data, path);
-      if (value === undefined || value === null) return '';
-      if (typeof value === 'object') return JSON.stringify(value);
-      return String(value);
-    });
+  syntaxError(message, line, name) {
+    const error = new Error(`Template error${name ? ` in "${name}"` : ''} on line ${line}: ${message}`);
+    error.line = line;
+    return error;
   }
 
+  // ============ EVALUATION ============
+
   /**
-   * Process helper functions
+   * Render parsed nodes
+   * @param {array} nodes - Parsed nodes
+   * @param {object} scope - { context, parent, data: { root, index, first, last, key } }
+   * @param {string} name - Template name for error messages
+   * @returns {string}
    */
-  processHelpers(template, data) {
-    // Match {{helperName arg1 arg2 ...}}
-    const helperRegex = /\{\{(\w+)\s+([^}]+)\}\}/g;
+  evaluate(nodes, scope, name = '') {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'value':
+          return this.evaluateValue(node, scope, name);
+        case 'block':
+          return this.evaluateBlock(node, scope, name);
+        default:
+          return '';
+      }
+    }).join('');
+  }
 
-    return template.replace(helperRegex, (match, helperName, argsString) => {
-      const helper = this.helpers.get(helperName);
-      if (!helper) return match;
+  evaluateValue(node, scope, name) {
+    let value;
+    if (node.helper) {
+      const helper = this.helpers.get(node.helper);
+      if (!helper) {
+        throw this.syntaxError(`Unknown helper "${node.helper}"`, node.line, name);
+      }
+      value = helper(...node.params.map(param => this.resolve(param, scope)));
+    } else {
+      value = this.resolve(node.expression, scope);
+    }
 
-      // Parse arguments
-      const args = this.parseHelperArgs(argsString, data);
-      return helper(...args);
-    });
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return node.raw ? text : this.escapeHTML(text);
   }
 
   /**
-   * Parse helper arguments
+   * Escape text for use in HTML content and quoted attributes
+   * @param {string} text - Text to escape
    */
-  parseHelperArgs(argsString, data) {
-    const args = [];
-    const parts = argsString.match(/(?:[^\s"]+|"[^"]*")+/g) || [];
-
-    parts.forEach(part => {
-      // Remove quotes from strings
-      if (part.startsWith('"') && part.endsWith('"')) {
-        args.push(part.slice(1, -1));
-      } else if (part === 'true') {
-        args.push(true);
-      } else if (part === 'false') {
-        args.push(false);
-      } else if (!isNaN(part)) {
-        args.push(Number(part));
-      } else {
-        // Treat as data path
-        args.push(this.getValueByPath(data, part));
+  escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  evaluateBlock(node, scope, name) {
+    const value = this.resolve(node.param, scope);
+
+    switch (node.block) {
+      case 'if':
+        return this.evaluate(this.isTruthy(value) ? node.body : node.inverse, scope, name);
+
+      case 'unless':
+        return this.evaluate(this.isTruthy(value) ? node.inverse : node.body, scope, name);
+
+      case 'with':
+        return this.isTruthy(value)
+          ? this.evaluate(node.body, { context: value, parent: scope, data: scope.data }, name)
+          : this.evaluate(node.inverse, scope, name);
+
+      case 'each': {
+        const isList = Array.isArray(value);
+        const keys = isList ? value.map((item, index) => index) : (value && typeof value === 'object' ? Object.keys(value) : []);
+        if (keys.length === 0) return this.evaluate(node.inverse, scope, name);
+
+        return keys.map((key, index) => this.evaluate(node.body, {
+          context: value[key],
+          parent: scope,
+          data: {
+            ...scope.data,
+            index,
+            key,
+            first: index === 0,
+            last: index === keys.length - 1
+          }
+        }, name)).join('');
       }
-    });
 
-    return args;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Resolve a literal or a path in a scope
+   */
+  resolve(expression, scope) {
+    if (!expression.path) return expression.literal;
+    const { up, data, parts } = expression.path;
+
+    if (data) {
+      const [key, ...rest] = parts;
+      return this.getValueByPath(scope.data[key], rest.join('.'));
+    }
+
+    let target = scope;
+    for (let i = 0; i < up && target.parent; i++) target = target.parent;
+    return this.getValueByPath(target.context, parts.join('.'));
+  }
+
+  /**
+   * Block truthiness: false, empty values and empty arrays are false
+   */
+  isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return Boolean(value);
   }
 
   /**
@@ -255,34 +496,105 @@ class TemplateEngine {
    * @param {string} path - Dot-notation path
    */
   getValueByPath(obj, path) {
+    if (!path) return obj;
     return path.split('.').reduce((current, key) => {
-      return current && current[key] !== undefined ? current[key] : undefined;
+      return current !== null && current !== undefined && this.hasOwn(current, key) ? current[key] : undefined;
     }, obj);
   }
 
+  /**
+   * Own properties only, so templates cannot reach `constructor` and
+   * other inherited members
+   */
+  hasOwn(obj, key) {
+    return Object.prototype.hasOwnProperty.call(Object(obj), key);
+  }
+
   /**
    * Render template to DOM element
    * @param {string} templateName - Template name
    * @param {object} data - Data to render
    * @param {string|Element} target - Target element or selector
+   * @param {object} options - `patch` to update the element's existing
+   *   nodes in place instead of replacing them, which keeps focus,
+   *   selection and scroll positions inside it
    */
-  renderTo(templateName, data, target) {
+  renderTo(templateName, data, target, options = {}) {
     const html = this.render(templateName, data);
     const element = typeof target === 'string' ? document.querySelector(target) : target;
 
-    if (element) {
+    if (element && options.patch) {
+      this.patchHTML(element, html);
+    } else if (element) {
       element.innerHTML = html;
     }
 
     return html;
   }
 
+  // ============ DOM PATCHING ============
+
+  /**
+   * Make an element's content match new markup, changing only the nodes,
+   * attributes and text that differ
+   * @param {Element} element - Element to update
+   * @param {string} html - New content
+   */
+  patchHTML(element, html) {
+    const next = document.createElement('template');
+    next.innerHTML = html;
+    this.patchChildren(element, next.content);
+  }
+
+  /**
+   * Patch child nodes position by position. Nodes of a different type or
+   * tag are replaced; extra nodes are added or removed at the end.
+   */
+  patchChildren(current, next) {
+    const nextNodes = Array.from(next.childNodes);
+
+    nextNodes.forEach((nextNode, index) => {
+      const node = current.childNodes[index];
+      if (!node) {
+        current.appendChild(nextNode);
+      } else if (node.nodeType !== nextNode.nodeType || node.nodeName !== nextNode.nodeName) {
+        current.replaceChild(nextNode, node);
+      } else {
+        this.patchNode(node, nextNode);
+      }
+    });
+
+    while (current.childNodes.length > nextNodes.length) {
+      current.removeChild(current.lastChild);
+    }
+  }
+
+  patchNode(node, next) {
+    if (node.nodeType !== 1) {
+      // Text and comments
+      if (node.nodeValue !== next.nodeValue) node.nodeValue = next.nodeValue;
+      return;
+    }
+
+    Array.from(node.attributes).forEach(attribute => {
+      if (!next.hasAttribute(attribute.name)) node.removeAttribute(attribute.name);
+    });
+    Array.from(next.attributes).forEach(attribute => {
+      if (node.getAttribute(attribute.name) !== attribute.value) node.setAttribute(attribute.name, attribute.value);
+    });
+
+    this.patchChildren(node, next);
+  }
+
   /**
-   * Create a reusable template function
+   * Create a reusable template function. The template is parsed once.
    * @param {string} templateString - Template string
+   * @param {string} name - Template name for error messages
+   * @throws {Error} If the template is malformed
    */
-  compile(templateString) {
-    return (data) => this.processTemplate(templateString, data);
+  compile(templateString, name = '') {
+    const nodes = this.parse(templateString, name);
+    return (data) => this.evaluate(nodes, { context: data, parent: null, data: { root: data } }, name);
   }
 }
 
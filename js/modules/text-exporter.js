@@ -0,0 +1,371 @@
+/**
+ * Text Exporter Module
+ * Plain-text and Markdown versions of a resume, for pasting into web forms
+ * and emails. Sections follow the template layout the same way
+ * PDFGenerator.generateResume does.
+ * Reusable across applications
+ */
+
+// Typographic characters replaced in ATS-safe plain text
+const ASCII_REPLACEMENTS = [
+  [/[‘’‚′]/g, "'"],
+  [/[“”„″]/g, '"'],
+  [/[–—―·]/g, '-'],
+  [/[•▪●◦]/g, '*'],
+  [/…/g, '...'],
+  [/[\u00A0\u2000-\u200A\u202F]/g, ' ']
+];
+
+class TextExporter {
+  /**
+   * @param {object} options - `pdf`: PDFGenerator whose layout helpers are
+   *   used; `richText`: RichText for inline markup; `width`: plain-text
+   *   line width in characters
+   */
+  constructor(options = {}) {
+    this.pdf = options.pdf || new PDFGenerator();
+    this.richText = options.richText || this.pdf.richText;
+    this.width = options.width || 80;
+  }
+
+  /**
+   * Get the sections to export, in order, with their titles. Sections the
+   * layout does not know are exported too when the data has them.
+   * @param {object} resumeData - Resume data object
+   * @param {object} template - Template object or its `pdf` config
+   * @returns {array} [{ id, title, value }]
+   */
+  getSections(resumeData, template = {}) {
+    const layout = this.pdf.resolveLayout(this.pdf.resolveTemplateConfig(template).layout);
+    const defaults = this.pdf.getDefaultLayout().titles;
+
+    const ids = this.pdf.getSingleColumnSections(layout);
+    // Then any other section in the data, such as imported projects
+    Object.keys(resumeData).forEach(id => {
+      const value = resumeData[id];
+      const isSection = Array.isArray(value) || typeof value === 'string';
+      if (isSection && !ids.includes(id) && !['personalInfo', 'exportSettings'].includes(id)) ids.push(id);
+    });
+
+    return ids
+      .map(id => ({
+        id,
+        // Templates may hide a title (e.g. the summary); text exports keep one
+        title: layout.titles[id] || defaults[id] || this.getSectionTitle(id),
+        value: resumeData[id]
+      }))
+      .filter(({ value }) => (Array.isArray(value) ? value.length > 0 : !!value));
+  }
+
+  /**
+   * Title for a section id without one: 'volunteerWork' -> 'Volunteer Work'
+   */
+  getSectionTitle(id) {
+    return id.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+  }
+
+  /**
+   * Describe an entry of a custom section as { title, subtitle, date, bullets, text }
+   * @param {*} entry - String or object
+   */
+  getGenericEntry(entry) {
+    if (typeof entry !== 'object' || entry === null) return { text: String(entry) };
+
+    const date = entry.date || entry.year ||
+      (entry.startDate ? `${entry.startDate} - ${entry.endDate || 'Present'}` : '');
+    return {
+      title: entry.title || entry.name || entry.degree || '',
+      subtitle: [entry.company || entry.organization || entry.institution || entry.issuer, entry.location].filter(Boolean).join(' | '),
+      date,
+      bullets: Array.isArray(entry.achievements) ? entry.achievements : (Array.isArray(entry.items) ? entry.items : []),
+      text: entry.description || entry.summary || ''
+    };
+  }
+
+  // ============ PLAIN TEXT ============
+
+  /**
+   * Plain text for pasting into application forms: ASCII punctuation and
+   * bullets, wrapped to the line width, links written out in full
+   * @param {object} resumeData - Resume data object
+   * @param {object} template - Template object or its `pdf` config
+   * @returns {string}
+   */
+  toPlainText(resumeData, template = {}) {
+    const personalInfo = resumeData.personalInfo || {};
+    const layout = this.pdf.resolveLayout(this.pdf.resolveTemplateConfig(template).layout);
+    const lines = [];
+
+    lines.push((personalInfo.fullName || 'Your Name').toUpperCase());
+    if (personalInfo.title) lines.push(personalInfo.title);
+    const contact = this.pdf.getContactItems(personalInfo, layout.header.contactFields);
+    if (contact.length > 0) lines.push(...this.wrap(contact.join(' | ')));
+
+    this.getSections(resumeData, template).forEach(({ id, title, value }) => {
+      lines.push('', title.toUpperCase(), '-'.repeat(Math.min(title.length, this.width)));
+
+      switch (id) {
+        case 'summary':
+          lines.push(...this.wrap(this.plainRichText(value)));
+          break;
+        case 'experience':
+          value.forEach((exp, index) => {
+            if (index > 0) lines.push('');
+            lines.push(...this.plainEntry(
+              exp.title || 'Job Title',
+              `${exp.startDate || ''} - ${exp.endDate || 'Present'}`,
+              [exp.company, exp.location].filter(Boolean).join(' | ')
+            ));
+            if (exp.achievements && exp.achievements.length > 0) {
+              exp.achievements.forEach(achievement => lines.push(...this.wrap(this.plainRichText(achievement), '  - ', '    ')));
+            } else if (exp.description) {
+              lines.push(...this.wrap(this.plainRichText(exp.description)));
+            }
+          });
+          break;
+        case 'education':
+          value.forEach(edu => lines.push(...this.plainEntry(edu.degree || 'Degree', edu.year || '', edu.institution || '')));
+          break;
+        case 'skills':
+          lines.push(...this.wrap(value.join(', ')));
+          break;
+        case 'certifications':
+          value.forEach(cert => {
+            const link = cert.url && this.pdf.normalizeURL(cert.url);
+            const url = link ? ` <${link}>` : '';
+            lines.push(...this.wrap(`${this.pdf.getCertificationText(cert).replace(/^• /, '')}${url}`, '  - ', '    '));
+          });
+          break;
+        default:
+          this.plainGeneric(value, lines);
+      }
+    });
+
+    return `${lines.map(line => this.toASCII(line).trimEnd()).join('\n')}\n`;
+  }
+
+  /**
+   * Lines for a custom section
+   */
+  plainGeneric(value, lines) {
+    if (!Array.isArray(value)) {
+      lines.push(...this.wrap(this.plainRichText(String(value))));
+      return;
+    }
+    value.forEach(item => {
+      const entry = this.getGenericEntry(item);
+      if (!entry.title) {
+        lines.push(...this.wrap(this.plainRichText(entry.text), '  - ', '    '));
+        return;
+      }
+      lines.push(...this.plainEntry(entry.title, entry.date, entry.subtitle));
+      entry.bullets.forEach(bullet => lines.push(...this.wrap(this.plainRichText(bullet), '  - ', '    ')));
+      if (entry.text) lines.push(...this.wrap(this.plainRichText(entry.text)));
+    });
+  }
+
+  /**
+   * Entry heading with the date right-aligned when it fits on the line
+   * @returns {array} Lines
+   */
+  plainEntry(title, date, subtitle) {
+    const lines = [];
+    if (date && title.length + date.length + 2 <= this.width) {
+      lines.push(`${title}${' '.repeat(this.width - title.length - date.length)}${date}`);
+    } else {
+      lines.push(...this.wrap(title));
+      if (date) lines.push(date);
+    }
+    if (subtitle) lines.push(...this.wrap(subtitle));
+    return lines;
+  }
+
+  /**
+   * Remove inline markup, writing links as "text (url)"
+   */
+  plainRichText(text = '') {
+    return this.richText.parse(text).map(run => {
+      if (!run.url || run.url.replace(/^(https?:\/\/|mailto:|tel:)/, '') === run.text) return run.text;
+      return `${run.text} (${run.url})`;
+    }).join('');
+  }
+
+  /**
+   * Word-wrap text to the line width. Explicit line breaks are kept.
+   * @param {string} text - Text to wrap
+   * @param {string} first - Prefix of the first line (e.g. a bullet)
+   * @param {string} rest - Prefix of the following lines
+   * @returns {array} Lines
+   */
+  wrap(text, first = '', rest = first) {
+    const lines = [];
+    String(text).split('\n').forEach(paragraph => {
+      let line = lines.length === 0 ? first : rest;
+      let prefix = line;
+      paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+        if (line.length > prefix.length && line.length + 1 + word.length > this.width) {
+          lines.push(line);
+          line = rest;
+          prefix = rest;
+        }
+        line += line.length > prefix.length ? ` ${word}` : word;
+        // Words longer than a line are split
+        while (line.length > this.width) {
+          lines.push(line.slice(0, this.width));
+          line = rest + line.slice(this.width);
+        }
+      });
+      lines.push(line);
+    });
+    return lines;
+  }
+
+  /**
+   * Replace typographic punctuation with ASCII
+   */
+  toASCII(text) {
+    return ASCII_REPLACEMENTS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+  }
+
+  // ============ MARKDOWN ============
+
+  /**
+   * Markdown with one heading per section. Inline markup in summaries and
+   * bullets becomes Markdown emphasis and links.
+   * @param {object} resumeData - Resume data object
+   * @param {object} template - Template object or its `pdf` config
+   * @returns {string}
+   */
+  toMarkdown(resumeData, template = {}) {
+    const personalInfo = resumeData.personalInfo || {};
+    const layout = this.pdf.resolveLayout(this.pdf.resolveTemplateConfig(template).layout);
+    const blocks = [];
+
+    blocks.push(`# ${this.escapeMarkdown(personalInfo.fullName || 'Your Name')}`);
+    const header = [];
+    if (personalInfo.title) header.push(`**${this.escapeMarkdown(personalInfo.title)}**`);
+    const contact = layout.header.contactFields
+      .filter(field => personalInfo[field])
+      .map(field => {
+        const url = this.pdf.getContactLink(field, personalInfo[field]);
+        const text = this.escapeMarkdown(personalInfo[field]);
+        return url ? this.markdownLink(text, url) : text;
+      });
+    if (contact.length > 0) header.push(contact.join(' · '));
+    if (header.length > 0) blocks.push(header.join('  \n'));
+
+    this.getSections(resumeData, template).forEach(({ id, title, value }) => {
+      blocks.push(`## ${this.escapeMarkdown(title)}`);
+
+      switch (id) {
+        case 'summary':
+          blocks.push(this.markdownRichText(value.trim()));
+          break;
+        case 'experience':
+          value.forEach(exp => {
+            const entry = [
+              `### ${this.escapeMarkdown(exp.title || 'Job Title')}`,
+              this.markdownDetails([exp.company, exp.location].filter(Boolean).join(' | '), `${exp.startDate || ''} - ${exp.endDate || 'Present'}`)
+            ];
+            if (exp.achievements && exp.achievements.length > 0) {
+              entry.push(this.markdownList(exp.achievements));
+            } else if (exp.description) {
+              entry.push(this.markdownRichText(exp.description.trim()));
+            }
+            blocks.push(entry.join('\n\n'));
+          });
+          break;
+        case 'education':
+          value.forEach(edu => {
+            blocks.push(`### ${this.escapeMarkdown(edu.degree || 'Degree')}\n\n${this.markdownDetails(edu.institution || '', edu.year || '')}`);
+          });
+          break;
+        case 'skills':
+          blocks.push(value.map(skill => this.escapeMarkdown(skill)).join(', '));
+          break;
+        case 'certifications':
+          blocks.push(value.map(cert => {
+            const name = this.escapeMarkdown(cert.name || '');
+            const details = `${cert.issuer ? ` - ${this.escapeMarkdown(cert.issuer)}` : ''}${cert.year ? ` (${this.escapeMarkdown(cert.year)})` : ''}`;
+            const url = cert.url && this.pdf.normalizeURL(cert.url);
+            return `- ${url ? this.markdownLink(name, url) : name}${details}`;
+          }).join('\n'));
+          break;
+        default:
+          this.markdownGeneric(value, blocks);
+      }
+    });
+
+    return `${blocks.filter(Boolean).join('\n\n')}\n`;
+  }
+
+  /**
+   * Blocks for a custom section
+   */
+  markdownGeneric(value, blocks) {
+    if (!Array.isArray(value)) {
+      blocks.push(this.markdownRichText(String(value).trim()));
+      return;
+    }
+    const entries = value.map(item => this.getGenericEntry(item));
+    if (entries.every(entry => !entry.title)) {
+      blocks.push(this.markdownList(entries.map(entry => entry.text)));
+      return;
+    }
+    entries.forEach(entry => {
+      const parts = [`### ${this.escapeMarkdown(entry.title || '')}`, this.markdownDetails(entry.subtitle, entry.date)];
+      if (entry.bullets.length > 0) parts.push(this.markdownList(entry.bullets));
+      if (entry.text) parts.push(this.markdownRichText(entry.text.trim()));
+      blocks.push(parts.filter(Boolean).join('\n\n'));
+    });
+  }
+
+  /**
+   * Italic line with an entry's organization and date
+   */
+  markdownDetails(subtitle, date) {
+    const text = [subtitle, date].filter(Boolean).map(part => this.escapeMarkdown(part)).join(' · ');
+    return text ? `*${text}*` : '';
+  }
+
+  /**
+   * Bullet list of inline-markup items
+   */
+  markdownList(items) {
+    return items.map(item => `- ${this.markdownRichText(String(item).trim()).replace(/\n/g, '\n  ')}`).join('\n');
+  }
+
+  /**
+   * Convert inline markup to Markdown, escaping everything else
+   */
+  markdownRichText(text = '') {
+    return this.richText.parse(text).map(run => {
+      let markdown = this.escapeMarkdown(run.text);
+      if (run.italic) markdown = `*${markdown}*`;
+      if (run.bold) markdown = `**${markdown}**`;
+      if (run.url) markdown = this.markdownLink(markdown, run.url);
+      return markdown;
+    }).join('');
+  }
+
+  /**
+   * Markdown link for escaped text. The URL goes in angle brackets, with
+   * the characters that could end it early percent-encoded.
+   */
+  markdownLink(text, url) {
+    const destination = String(url).replace(/[<>\\\s]/g, char => encodeURIComponent(char));
+    return `[${text}](<${destination}>)`;
+  }
+
+  /**
+   * Escape characters Markdown would read as formatting
+   */
+  escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]<>])/g, '\\$1');
+  }
+}
+
+// Export for browser usage
+if (typeof window !== 'undefined') {
+  window.TextExporter = TextExporter;
+}
@@ -22,7 +22,7 @@ const StandardCoverLetterTemplate = {
 
   // HTML preview template
   html: `
-    <div class="cover-letter-template cl-standard">
+    <div class="cover-letter-template cl-standard" dir="{{direction}}">
       <!-- Header -->
       <header class="cl-header">
         <h1 class="cl-name">{{personalInfo.fullName}}</h1>
@@ -42,7 +42,7 @@ const StandardCoverLetterTemplate = {
         {{#if recipient.name}}<div>{{recipient.name}}</div>{{/if}}
         {{#if recipient.title}}<div>{{recipient.title}}</div>{{/if}}
         {{#if recipient.company}}<div>{{recipient.company}}</div>{{/if}}
-        {{#if recipient.address}}<div>{{recipient.address}}</div>{{/if}}
+        {{#if recipient.address}}<div>{{{breakLines recipient.address}}}</div>{{/if}}
       </div>
       {{/if}}
 
@@ -54,9 +54,13 @@ const StandardCoverLetterTemplate = {
         <p class="cl-greeting">Dear Hiring Manager,</p>
         {{/if}}
 
-        <div class="cl-content">{{content}}</div>
+        <div class="cl-content">{{{breakLines content}}}</div>
 
         <p class="cl-closing">{{closing}}</p>
+        {{#if personalInfo.signature.image}}
+        <img class="cl-signature-image" src="{{personalInfo.signature.image}}" alt=""
+             style="width: {{personalInfo.signature.width}}mm; margin-inline-start: {{personalInfo.signature.offset}}mm;">
+        {{/if}}
         <p class="cl-signature">{{personalInfo.fullName}}</p>
       </div>
     </div>
@@ -129,6 +133,12 @@ const StandardCoverLetterTemplate = {
       margin-bottom: 5px;
     }
 
+    .cl-standard .cl-signature-image {
+      display: block;
+      height: auto;
+      max-width: 100%;
+    }
+
     .cl-standard .cl-signature {
       font-weight: bold;
     }
@@ -8,7 +8,6 @@ const MinimalTemplate = {
   name: 'Minimal',
   description: 'Clean, minimalist design that lets your content speak for itself',
   isPremium: true,
-  thumbnail: 'assets/templates/minimal-thumb.png',
 
   // PDF styling configuration
   pdf: {
@@ -20,28 +19,54 @@ const MinimalTemplate = {
     fonts: {
       heading: 'helvetica',
       body: 'helvetica'
+    },
+    // Lowest values "fit to pages" may tighten to (see getDefaultFitLimits)
+    fit: { minFontSize: 9, minLineSpacing: 0.9, minMargin: 15 },
+    // Layout description interpreted by PDFGenerator (see getDefaultLayout)
+    layout: {
+      header: {
+        align: 'left',
+        nameSize: 28,
+        nameStyle: 'normal',
+        contactFields: ['email', 'phone', 'location', 'linkedin', 'website'],
+        contactSeparator: '     ',
+        spacingAfter: 18,
+        photo: 'end',
+        photoSize: 26
+      },
+      sectionTitle: { size: 9, uppercase: true, color: 'lightGray', rule: false, charSpace: 0.8 },
+      sections: ['summary', 'experience', 'education', 'skills', 'certifications'],
+      titles: { summary: null, experience: 'Experience' },
+      dates: 'left',
+      dateColumnWidth: 38,
+      skills: { style: 'inline', separator: ' · ' }
     }
   },
 
   // HTML preview template
   html: `
-    <div class="resume-template resume-minimal">
+    <div class="resume-template resume-minimal" dir="{{direction}}">
       <!-- Header -->
       <header class="resume-header">
-        <h1 class="resume-name">{{personalInfo.fullName}}</h1>
-        <div class="resume-contact">
-          {{#if personalInfo.email}}<span>{{personalInfo.email}}</span>{{/if}}
-          {{#if personalInfo.phone}}<span>{{personalInfo.phone}}</span>{{/if}}
-          {{#if personalInfo.location}}<span>{{personalInfo.location}}</span>{{/if}}
-          {{#if personalInfo.linkedin}}<span>{{personalInfo.linkedin}}</span>{{/if}}
-          {{#if personalInfo.website}}<span>{{personalInfo.website}}</span>{{/if}}
+        <div class="resume-header-text">
+          <h1 class="resume-name">{{personalInfo.fullName}}</h1>
+          <div class="resume-contact">
+            {{#if personalInfo.email}}<span><a href="{{contactLinks.email}}">{{personalInfo.email}}</a></span>{{/if}}
+            {{#if personalInfo.phone}}<span><a href="{{contactLinks.phone}}">{{personalInfo.phone}}</a></span>{{/if}}
+            {{#if personalInfo.location}}<span>{{personalInfo.location}}</span>{{/if}}
+            {{#if personalInfo.linkedin}}<span><a href="{{contactLinks.linkedin}}">{{personalInfo.linkedin}}</a></span>{{/if}}
+            {{#if personalInfo.website}}<span><a href="{{contactLinks.website}}">{{personalInfo.website}}</a></span>{{/if}}
+          </div>
         </div>
+        {{#if photo}}
+        <img class="resume-photo resume-photo-{{photo.shape}}" src="{{photo.image}}" alt="">
+        {{/if}}
       </header>
 
       <!-- Summary -->
       {{#if summary}}
       <section class="resume-section">
-        <p class="resume-summary">{{summary}}</p>
+        <p class="resume-summary">{{{inline summary}}}</p>
       </section>
       {{/if}}
 
@@ -60,11 +85,11 @@ const MinimalTemplate = {
             {{#if this.achievements}}
             <ul class="experience-list">
               {{#each this.achievements}}
-              <li>{{this}}</li>
+              <li>{{{inline this}}}</li>
               {{/each}}
             </ul>
             {{else}}
-            <p class="experience-description">{{this.description}}</p>
+            <p class="experience-description">{{{inline this.description}}}</p>
             {{/if}}
           </div>
         </div>
@@ -103,7 +128,7 @@ const MinimalTemplate = {
       <section class="resume-section">
         <h2 class="section-title">Certifications</h2>
         {{#each certifications}}
-        <div class="cert-line">{{this.name}}{{#if this.issuer}}, {{this.issuer}}{{/if}}{{#if this.year}} ({{this.year}}){{/if}}</div>
+        <div class="cert-line">{{#if this.link}}<a href="{{this.link}}">{{/if}}{{this.name}}{{#if this.link}}</a>{{/if}}{{#if this.issuer}}, {{this.issuer}}{{/if}}{{#if this.year}} ({{this.year}}){{/if}}</div>
         {{/each}}
       </section>
       {{/if}}
@@ -123,9 +148,24 @@ const MinimalTemplate = {
     }
 
     .resume-minimal .resume-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: flex-start;
+      gap: 24px;
       margin-bottom: 40px;
     }
 
+    .resume-minimal .resume-photo {
+      flex-shrink: 0;
+      width: 98px;
+      height: 98px;
+      object-fit: cover;
+    }
+
+    .resume-minimal .resume-photo-circle {
+      border-radius: 50%;
+    }
+
     .resume-minimal .resume-name {
       font-size: 32px;
       font-weight: 300;
@@ -139,7 +179,7 @@ const MinimalTemplate = {
     }
 
     .resume-minimal .resume-contact span {
-      margin-right: 20px;
+      margin-inline-end: 20px;
     }
 
     .resume-minimal .resume-section {
@@ -173,7 +213,7 @@ const MinimalTemplate = {
 
     .resume-minimal .experience-meta,
     .resume-minimal .education-meta {
-      text-align: right;
+      text-align: end;
     }
 
     .resume-minimal .experience-date,
@@ -196,7 +236,7 @@ const MinimalTemplate = {
 
     .resume-minimal .experience-list {
       margin: 0;
-      padding-left: 18px;
+      padding-inline-start: 18px;
       font-size: 14px;
       color: #444;
       font-weight: 300;
@@ -242,6 +282,11 @@ const MinimalTemplate = {
         padding: 0;
       }
     }
+
+    .resume-minimal a {
+      color: inherit;
+      text-decoration: none;
+    }
   `
 };
 
@@ -8,7 +8,6 @@ const ModernTemplate = {
   name: 'Modern',
   description: 'Contemporary design with bold accents, perfect for creative and tech roles',
   isPremium: true,
-  thumbnail: 'assets/templates/modern-thumb.png',
 
   // PDF styling configuration
   pdf: {
@@ -21,15 +20,39 @@ const ModernTemplate = {
     fonts: {
       heading: 'helvetica',
       body: 'helvetica'
+    },
+    // Lowest values "fit to pages" may tighten to (see getDefaultFitLimits)
+    fit: { minFontSize: 9, minLineSpacing: 0.85, minMargin: 12 },
+    // Layout description interpreted by PDFGenerator (see getDefaultLayout)
+    layout: {
+      header: { align: 'left', nameSize: 20, showTitle: true, spacingAfter: 10, photo: 'top', photoSize: 30 },
+      sectionTitle: { size: 13, uppercase: false, rule: true, ruleColor: [224, 231, 255] },
+      sections: ['summary', 'experience'],
+      titles: { summary: 'About Me', experience: 'Experience' },
+      dates: 'right',
+      entryBar: true,
+      sidebar: {
+        side: 'left',
+        width: 65,
+        sections: ['contact', 'skills', 'education', 'certifications'],
+        layout: {
+          sectionTitle: { size: 9, uppercase: true, rule: false, charSpace: 0.6 },
+          dates: 'below',
+          skills: { style: 'pills' }
+        }
+      }
     }
   },
 
   // HTML preview template
   html: `
-    <div class="resume-template resume-modern">
+    <div class="resume-template resume-modern" dir="{{direction}}">
       <!-- Sidebar -->
       <aside class="resume-sidebar">
         <div class="sidebar-header">
+          {{#if photo}}
+          <img class="resume-photo resume-photo-{{photo.shape}}" src="{{photo.image}}" alt="">
+          {{/if}}
           <h1 class="resume-name">{{personalInfo.fullName}}</h1>
           {{#if personalInfo.title}}
           <div class="resume-title">{{personalInfo.title}}</div>
@@ -42,13 +65,13 @@ const ModernTemplate = {
             {{#if personalInfo.email}}
             <div class="contact-item">
               <span class="contact-icon">✉</span>
-              <span>{{personalInfo.email}}</span>
+              <span><a href="{{contactLinks.email}}">{{personalInfo.email}}</a></span>
             </div>
             {{/if}}
             {{#if personalInfo.phone}}
             <div class="contact-item">
               <span class="contact-icon">☎</span>
-              <span>{{personalInfo.phone}}</span>
+              <span><a href="{{contactLinks.phone}}">{{personalInfo.phone}}</a></span>
             </div>
             {{/if}}
             {{#if personalInfo.location}}
@@ -60,7 +83,7 @@ const ModernTemplate = {
             {{#if personalInfo.linkedin}}
             <div class="contact-item">
               <span class="contact-icon">🔗</span>
-              <span>{{personalInfo.linkedin}}</span>
+              <span><a href="{{contactLinks.linkedin}}">{{personalInfo.linkedin}}</a></span>
             </div>
             {{/if}}
           </div>
@@ -95,7 +118,7 @@ const ModernTemplate = {
           <h3 class="sidebar-title">Certifications</h3>
           {{#each certifications}}
           <div class="cert-item">
-            <div class="cert-name">{{this.name}}</div>
+            <div class="cert-name">{{#if this.link}}<a href="{{this.link}}">{{/if}}{{this.name}}{{#if this.link}}</a>{{/if}}</div>
             {{#if this.year}}<div class="cert-year">{{this.year}}</div>{{/if}}
           </div>
           {{/each}}
@@ -111,7 +134,7 @@ const ModernTemplate = {
             <span class="title-icon">👤</span>
             About Me
           </h2>
-          <p class="resume-summary">{{summary}}</p>
+          <p class="resume-summary">{{{inline summary}}}</p>
         </section>
         {{/if}}
 
@@ -133,11 +156,11 @@ const ModernTemplate = {
             {{#if this.achievements}}
             <ul class="experience-achievements">
               {{#each this.achievements}}
-              <li>{{this}}</li>
+              <li>{{{inline this}}}</li>
               {{/each}}
             </ul>
             {{else}}
-            <p class="experience-description">{{this.description}}</p>
+            <p class="experience-description">{{{inline this.description}}}</p>
             {{/if}}
           </div>
           {{/each}}
@@ -170,6 +193,19 @@ const ModernTemplate = {
       border-bottom: 1px solid rgba(255,255,255,0.2);
     }
 
+    .resume-modern .resume-photo {
+      display: block;
+      width: 113px;
+      height: 113px;
+      object-fit: cover;
+      margin-bottom: 20px;
+      border: 3px solid rgba(255,255,255,0.3);
+    }
+
+    .resume-modern .resume-photo-circle {
+      border-radius: 50%;
+    }
+
     .resume-modern .resume-name {
       font-size: 24px;
       font-weight: 700;
@@ -206,7 +242,7 @@ const ModernTemplate = {
     }
 
     .resume-modern .contact-icon {
-      margin-right: 10px;
+      margin-inline-end: 10px;
       font-size: 14px;
     }
 
@@ -274,7 +310,7 @@ const ModernTemplate = {
     }
 
     .resume-modern .title-icon {
-      margin-right: 10px;
+      margin-inline-end: 10px;
     }
 
     .resume-modern .resume-summary {
@@ -286,8 +322,8 @@ const ModernTemplate = {
 
     .resume-modern .experience-item {
       margin-bottom: 25px;
-      padding-left: 15px;
-      border-left: 3px solid #e0e7ff;
+      padding-inline-start: 15px;
+      border-inline-start: 3px solid #e0e7ff;
     }
 
     .resume-modern .experience-header {
@@ -319,7 +355,7 @@ const ModernTemplate = {
 
     .resume-modern .experience-achievements {
       margin: 0;
-      padding-left: 18px;
+      padding-inline-start: 18px;
       font-size: 13px;
       line-height: 1.6;
       color: #4b5563;
@@ -328,6 +364,11 @@ const ModernTemplate = {
     .resume-modern .experience-achievements li {
       margin-bottom: 5px;
     }
+
+    .resume-modern a {
+      color: inherit;
+      text-decoration: none;
+    }
   `
 };
 
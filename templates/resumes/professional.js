@@ -8,7 +8,6 @@ const ProfessionalTemplate = {
   name: 'Professional',
   description: 'Clean, traditional design suitable for corporate and professional roles',
   isPremium: false,
-  thumbnail: 'assets/templates/professional-thumb.png',
 
   // PDF styling configuration
   pdf: {
@@ -20,20 +19,33 @@ const ProfessionalTemplate = {
     fonts: {
       heading: 'helvetica',
       body: 'helvetica'
+    },
+    // Lowest values "fit to pages" may tighten to (see getDefaultFitLimits)
+    fit: { minFontSize: 9, minLineSpacing: 0.85, minMargin: 12 },
+    // Layout description interpreted by PDFGenerator (see getDefaultLayout)
+    layout: {
+      header: { align: 'center', nameSize: 24, contactSeparator: '  |  ' },
+      sectionTitle: { size: 14, uppercase: true, rule: true },
+      sections: ['summary', 'experience', 'education', 'skills', 'certifications'],
+      dates: 'right',
+      skills: { style: 'inline', separator: '  •  ' }
     }
   },
 
   // HTML preview template
   html: `
-    <div class="resume-template resume-professional">
+    <div class="resume-template resume-professional" dir="{{direction}}">
       <!-- Header -->
       <header class="resume-header">
+        {{#if photo}}
+        <img class="resume-photo resume-photo-{{photo.shape}}" src="{{photo.image}}" alt="">
+        {{/if}}
         <h1 class="resume-name">{{personalInfo.fullName}}</h1>
         <div class="resume-contact">
-          {{#if personalInfo.email}}<span>{{personalInfo.email}}</span>{{/if}}
-          {{#if personalInfo.phone}}<span>{{personalInfo.phone}}</span>{{/if}}
+          {{#if personalInfo.email}}<span><a href="{{contactLinks.email}}">{{personalInfo.email}}</a></span>{{/if}}
+          {{#if personalInfo.phone}}<span><a href="{{contactLinks.phone}}">{{personalInfo.phone}}</a></span>{{/if}}
           {{#if personalInfo.location}}<span>{{personalInfo.location}}</span>{{/if}}
-          {{#if personalInfo.linkedin}}<span>{{personalInfo.linkedin}}</span>{{/if}}
+          {{#if personalInfo.linkedin}}<span><a href="{{contactLinks.linkedin}}">{{personalInfo.linkedin}}</a></span>{{/if}}
         </div>
       </header>
 
@@ -41,7 +53,7 @@ const ProfessionalTemplate = {
       {{#if summary}}
       <section class="resume-section">
         <h2 class="section-title">Professional Summary</h2>
-        <p class="resume-summary">{{summary}}</p>
+        <p class="resume-summary">{{{inline summary}}}</p>
       </section>
       {{/if}}
 
@@ -59,11 +71,11 @@ const ProfessionalTemplate = {
           {{#if this.achievements}}
           <ul class="experience-achievements">
             {{#each this.achievements}}
-            <li>{{this}}</li>
+            <li>{{{inline this}}}</li>
             {{/each}}
           </ul>
           {{else}}
-          <p class="experience-description">{{this.description}}</p>
+          <p class="experience-description">{{{inline this.description}}}</p>
           {{/if}}
         </div>
         {{/each}}
@@ -104,7 +116,7 @@ const ProfessionalTemplate = {
         <h2 class="section-title">Certifications</h2>
         <ul class="certifications-list">
           {{#each certifications}}
-          <li>{{this.name}}{{#if this.issuer}} - {{this.issuer}}{{/if}}{{#if this.year}} ({{this.year}}){{/if}}</li>
+          <li>{{#if this.link}}<a href="{{this.link}}">{{/if}}{{this.name}}{{#if this.link}}</a>{{/if}}{{#if this.issuer}} - {{this.issuer}}{{/if}}{{#if this.year}} ({{this.year}}){{/if}}</li>
           {{/each}}
         </ul>
       </section>
@@ -130,6 +142,18 @@ const ProfessionalTemplate = {
       border-bottom: 2px solid #294172;
     }
 
+    .resume-professional .resume-photo {
+      display: block;
+      width: 113px;
+      height: 113px;
+      object-fit: cover;
+      margin: 0 auto 15px;
+    }
+
+    .resume-professional .resume-photo-circle {
+      border-radius: 50%;
+    }
+
     .resume-professional .resume-name {
       font-size: 28px;
       color: #294172;
@@ -149,7 +173,7 @@ const ProfessionalTemplate = {
 
     .resume-professional .resume-contact span:not(:last-child)::after {
       content: '|';
-      margin-left: 20px;
+      margin-inline-start: 20px;
       color: #ccc;
     }
 
@@ -208,7 +232,7 @@ const ProfessionalTemplate = {
 
     .resume-professional .experience-achievements {
       margin: 0;
-      padding-left: 20px;
+      padding-inline-start: 20px;
       font-size: 14px;
       line-height: 1.5;
     }
@@ -233,13 +257,18 @@ const ProfessionalTemplate = {
 
     .resume-professional .certifications-list {
       margin: 0;
-      padding-left: 20px;
+      padding-inline-start: 20px;
       font-size: 14px;
     }
 
     .resume-professional .certifications-list li {
       margin-bottom: 5px;
     }
+
+    .resume-professional a {
+      color: inherit;
+      text-decoration: none;
+    }
   `
 };
 